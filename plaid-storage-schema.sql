@@ -7,7 +7,7 @@
 -- Stores access tokens and account info for connected banks
 CREATE TABLE IF NOT EXISTS plaid_connections (
   id TEXT PRIMARY KEY,  -- Unique ID for the connection
-  access_token TEXT NOT NULL,  -- Plaid access token (sensitive!)
+  access_token TEXT NOT NULL,  -- Plaid access token, encrypted when TOKEN_ENCRYPTION_KEY is set (sensitive!)
   item_id TEXT,  -- Plaid item ID
   institution_id TEXT,  -- Plaid institution ID
   institution_name TEXT NOT NULL,  -- e.g., "Wells Fargo", "Chase"
@@ -15,17 +15,51 @@ CREATE TABLE IF NOT EXISTS plaid_connections (
   excluded_accounts JSONB DEFAULT '[]'::jsonb,  -- Account IDs to exclude from sync
   connected_at TIMESTAMPTZ DEFAULT NOW(),
   last_synced TIMESTAMPTZ,
+  cursor TEXT,  -- /transactions/sync cursor, persisted so redeploys resume incrementally
+  health TEXT DEFAULT 'healthy',  -- healthy, login_required, consent_expiring
+  health_error TEXT,  -- Plaid error/webhook code behind the current health state
+  consent_expiration_time TIMESTAMPTZ,
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Existing installs: add the sync cursor and health columns
+ALTER TABLE plaid_connections ADD COLUMN IF NOT EXISTS cursor TEXT;
+ALTER TABLE plaid_connections ADD COLUMN IF NOT EXISTS health TEXT DEFAULT 'healthy';
+ALTER TABLE plaid_connections ADD COLUMN IF NOT EXISTS health_error TEXT;
+ALTER TABLE plaid_connections ADD COLUMN IF NOT EXISTS consent_expiration_time TIMESTAMPTZ;
+ALTER TABLE plaid_connections ADD COLUMN IF NOT EXISTS qb_account_map JSONB DEFAULT '{}'::jsonb;  -- { account_id: { id, name, type } } QuickBooks bank/credit card account
+
 -- Index for faster lookups
 CREATE INDEX IF NOT EXISTS idx_plaid_connections_institution ON plaid_connections(institution_name);
 
--- QuickBooks Token Storage (optional - for QB OAuth tokens)
+-- Plaid Transactions
+-- Local copy of /transactions/sync results (added/modified upserted, removed deleted)
+CREATE TABLE IF NOT EXISTS plaid_transactions (
+  transaction_id TEXT PRIMARY KEY,  -- Plaid transaction_id
+  plaid_account_id TEXT NOT NULL,  -- plaid_connections.id
+  account_id TEXT,  -- Plaid account_id within the item
+  institution TEXT,
+  date DATE,
+  authorized_date DATE,
+  name TEXT,
+  merchant_name TEXT,
+  amount NUMERIC(14, 2),  -- Plaid sign: positive = debit, negative = credit
+  iso_currency_code TEXT,
+  category TEXT,
+  category_detailed TEXT,
+  pending BOOLEAN DEFAULT FALSE,
+  pending_transaction_id TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_plaid_transactions_connection ON plaid_transactions(plaid_account_id);
+CREATE INDEX IF NOT EXISTS idx_plaid_transactions_date ON plaid_transactions(date);
+
+-- QuickBooks Token Storage (one connection per company)
 CREATE TABLE IF NOT EXISTS quickbooks_tokens (
   id SERIAL PRIMARY KEY,
-  access_token TEXT NOT NULL,
-  refresh_token TEXT NOT NULL,
+  access_token TEXT NOT NULL,  -- AES-256-GCM ciphertext (enc:v1:<key id>:...) when TOKEN_ENCRYPTION_KEY is set
+  refresh_token TEXT NOT NULL,  -- encrypted like access_token
   realm_id TEXT NOT NULL,
   expires_at TIMESTAMPTZ NOT NULL,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -35,6 +69,227 @@ CREATE TABLE IF NOT EXISTS quickbooks_tokens (
 -- Only keep latest QB tokens
 CREATE UNIQUE INDEX IF NOT EXISTS idx_qb_tokens_realm ON quickbooks_tokens(realm_id);
 
+-- Learned categorization rules (persistent - survives Railway redeploys)
+CREATE TABLE IF NOT EXISTS ai_learned_categories (
+  id TEXT PRIMARY KEY,  -- e.g. "rule-1736971200000"
+  pattern TEXT NOT NULL,
+  pattern_type TEXT NOT NULL DEFAULT 'contains',  -- exact, starts_with, contains, regex
+  category_id TEXT,  -- QuickBooks account Id
+  category TEXT NOT NULL,
+  transaction_type TEXT,  -- expense, income, cogs, transfer
+  amount_min NUMERIC(14, 2),
+  amount_max NUMERIC(14, 2),
+  institution TEXT,
+  account_id TEXT,  -- Plaid account_id
+  direction TEXT,  -- debit, credit
+  priority INTEGER DEFAULT 0,
+  confidence NUMERIC(4, 3) DEFAULT 1.0,
+  times_used INTEGER DEFAULT 1,
+  version INTEGER DEFAULT 1,
+  learned_by TEXT,
+  learned_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every change to a learned rule, for audit and rollback
+CREATE TABLE IF NOT EXISTS ai_learned_category_history (
+  id SERIAL PRIMARY KEY,
+  rule_id TEXT NOT NULL,  -- ai_learned_categories.id (kept after the rule is deleted)
+  version INTEGER NOT NULL,
+  action TEXT NOT NULL,  -- create, update, delete, rollback
+  changed_by TEXT,
+  old_category TEXT,
+  new_category TEXT,
+  snapshot JSONB NOT NULL,  -- full rule after the change
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_history_rule ON ai_learned_category_history(rule_id, version);
+
+-- Categorization audit trail: every suggestion and every category written back
+CREATE TABLE IF NOT EXISTS categorization_log (
+  id TEXT PRIMARY KEY,
+  event TEXT NOT NULL,  -- suggested, applied
+  transaction_id TEXT,  -- dashboard row id (e.g. purchase-123-0) or Plaid transaction_id
+  qb_id TEXT,  -- QuickBooks entity Id
+  qb_type TEXT,  -- Purchase, Bill, ...
+  transaction_source TEXT,  -- quickbooks, plaid
+  suggestion_source TEXT,  -- learned_rule, ai, statistical, manual
+  rule_id TEXT,
+  model TEXT,  -- AI model id when suggestion_source = ai
+  confidence NUMERIC(4, 3),
+  reasoning TEXT,
+  previous_category_id TEXT,
+  previous_category TEXT,
+  new_category_id TEXT,
+  new_category TEXT,
+  approved_by TEXT,
+  merchant TEXT,  -- normalized merchant, used to promote repeated manual categorizations to rules
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE categorization_log ADD COLUMN IF NOT EXISTS merchant TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_categorization_log_txn ON categorization_log(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_categorization_log_merchant ON categorization_log(merchant);
+CREATE INDEX IF NOT EXISTS idx_categorization_log_qb ON categorization_log(qb_id);
+CREATE INDEX IF NOT EXISTS idx_categorization_log_category ON categorization_log(new_category);
+
+-- Merchant aliases: map raw/cleaned merchant strings to one canonical merchant
+CREATE TABLE IF NOT EXISTS merchant_aliases (
+  alias TEXT PRIMARY KEY,  -- cleaned merchant string, e.g. "facebk"
+  canonical TEXT NOT NULL,  -- canonical merchant, e.g. "facebook"
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Plaid transactions split across several categories (lines add up to the transaction amount)
+CREATE TABLE IF NOT EXISTS transaction_splits (
+  transaction_id TEXT PRIMARY KEY,  -- Plaid transaction_id
+  splits JSONB NOT NULL,  -- [{ categoryId, categoryName, amount, description }]
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-transaction category overrides (manual categorizations), shared across browsers
+CREATE TABLE IF NOT EXISTS transaction_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id TEXT NOT NULL UNIQUE,  -- Plaid transaction_id or QuickBooks row id (purchase-123-0)
+  category TEXT NOT NULL,
+  category_id TEXT,  -- QuickBooks account id when known
+  transaction_type TEXT NOT NULL,  -- expense, income, cogs, transfer
+  note TEXT,
+  override_by TEXT,
+  override_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Flagged expenses for review
+CREATE TABLE IF NOT EXISTS flagged_expenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id TEXT NOT NULL UNIQUE,
+  flag_type TEXT NOT NULL,  -- review, cancel, negotiate, approved
+  note TEXT,
+  flagged_by TEXT,
+  flagged_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  resolved_by TEXT
+);
+
+-- Cost-cutting actions opened from cancel/negotiate flags
+CREATE TABLE IF NOT EXISTS vendor_actions (
+  id TEXT PRIMARY KEY,
+  merchant TEXT NOT NULL,  -- normalized merchant
+  transaction_id TEXT,  -- flagged transaction that opened the action
+  flag_type TEXT NOT NULL,  -- cancel, negotiate
+  status TEXT NOT NULL DEFAULT 'open',  -- open, contacted, cancelled, negotiated, verified, dropped
+  baseline_monthly NUMERIC(12, 2),  -- average monthly spend before the action
+  baseline_start TEXT,  -- first baseline month (YYYY-MM)
+  baseline_end TEXT,  -- last baseline month (YYYY-MM)
+  spend_source TEXT,  -- plaid, quickbooks
+  expected_monthly NUMERIC(12, 2),  -- negotiated monthly price (0 when cancelled)
+  effective_date DATE,  -- when the cancellation/new price took effect
+  note TEXT,
+  history JSONB DEFAULT '[]',  -- [{ status, at, by, note }]
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  verified_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_actions_merchant ON vendor_actions(merchant);
+
+-- Plaid transactions posted to QuickBooks (one row per transaction_id)
+CREATE TABLE IF NOT EXISTS plaid_postings (
+  transaction_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,  -- posted, failed
+  qb_type TEXT,  -- Purchase, Deposit, Transfer
+  qb_id TEXT,  -- QuickBooks entity Id once posted
+  request_id TEXT,  -- QuickBooks requestid used for the last attempt
+  attempts INTEGER DEFAULT 0,
+  amount NUMERIC(12, 2),
+  txn_date DATE,
+  linked_transaction_id TEXT,  -- other side of a posted transfer
+  error TEXT,
+  posted_by TEXT,
+  posted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_plaid_postings_status ON plaid_postings(status);
+
+-- Raw QuickBooks entities, kept current with Change Data Capture
+CREATE TABLE IF NOT EXISTS qb_entity_cache (
+  realm_id TEXT NOT NULL,
+  entity_type TEXT NOT NULL,  -- Purchase, Bill, Deposit, ..., Account, Vendor, Item
+  qb_id TEXT NOT NULL,
+  txn_date DATE,  -- null for Account/Vendor/Item
+  data JSONB NOT NULL,  -- entity as returned by QuickBooks
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (realm_id, entity_type, qb_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_qb_entity_cache_date ON qb_entity_cache(realm_id, txn_date);
+
+-- One row per QuickBooks company: where the next CDC call starts
+CREATE TABLE IF NOT EXISTS qb_sync_state (
+  realm_id TEXT PRIMARY KEY,
+  last_synced_at TIMESTAMPTZ,  -- changedSince for the next CDC call
+  last_full_sync_at TIMESTAMPTZ,
+  pl_report JSONB,  -- cached ProfitAndLoss report
+  pl_range TEXT,  -- start..end the cached report covers
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Rule suggestions from manual categorizations (dismissed ones stop auto-promotion)
+CREATE TABLE IF NOT EXISTS rule_suggestions (
+  id TEXT PRIMARY KEY,  -- suggestion-<hash of merchant and category>
+  merchant TEXT NOT NULL,  -- normalized merchant
+  pattern TEXT NOT NULL,
+  pattern_type TEXT NOT NULL,  -- contains, exact
+  category_id TEXT,
+  category_name TEXT NOT NULL,
+  occurrences INTEGER DEFAULT 0,  -- manual categorizations seen so far
+  conflicts_with JSONB DEFAULT '[]',  -- [{ id, pattern, categoryName }] rules that disagree
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending, accepted, promoted, dismissed
+  rule_id TEXT,  -- learned rule created from it
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Businesses sharing this backend; everything below is scoped by company_id
+CREATE TABLE IF NOT EXISTS companies (
+  id TEXT PRIMARY KEY,  -- slug used in X-Company-Id (default, wealthpath)
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing rows belong to the default company
+ALTER TABLE plaid_connections ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE plaid_transactions ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE ai_learned_categories ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE ai_learned_category_history ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE categorization_log ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE transaction_splits ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE transaction_overrides ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE flagged_expenses ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE vendor_actions ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE plaid_postings ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE quickbooks_tokens ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE rule_suggestions ADD COLUMN IF NOT EXISTS company_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_plaid_connections_company ON plaid_connections(company_id);
+CREATE INDEX IF NOT EXISTS idx_plaid_transactions_company ON plaid_transactions(company_id);
+CREATE INDEX IF NOT EXISTS idx_ai_learned_categories_company ON ai_learned_categories(company_id);
+CREATE INDEX IF NOT EXISTS idx_categorization_log_company ON categorization_log(company_id);
+CREATE INDEX IF NOT EXISTS idx_vendor_actions_company ON vendor_actions(company_id);
+
+-- QuickBooks row ids (purchase-12-0) repeat across companies
+ALTER TABLE transaction_overrides DROP CONSTRAINT IF EXISTS transaction_overrides_transaction_id_key;
+ALTER TABLE flagged_expenses DROP CONSTRAINT IF EXISTS flagged_expenses_transaction_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_overrides_company_txn ON transaction_overrides(company_id, transaction_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_flagged_expenses_company_txn ON flagged_expenses(company_id, transaction_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plaid_postings_company_txn ON plaid_postings(company_id, transaction_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_qb_tokens_company ON quickbooks_tokens(company_id);
+
 -- Row Level Security (RLS)
 -- IMPORTANT: For server-side access, use the service_role key which bypasses RLS
 -- If you want to enable RLS, uncomment and configure these policies
@@ -56,12 +311,17 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_qb_tokens_realm ON quickbooks_tokens(realm
 -- 2. NEVER expose the service key in frontend code
 --    Only use it in server-side code (Railway backend)
 --
--- 3. The access_token column contains sensitive Plaid tokens
---    Consider encrypting this column for extra security
+-- 3. The access_token/refresh_token columns contain sensitive Plaid and
+--    QuickBooks tokens. Set TOKEN_ENCRYPTION_KEY (32 random bytes, e.g.
+--    `openssl rand -base64 32`) and the backend encrypts them with AES-256-GCM.
+--    Without it QuickBooks and Plaid tokens are kept in the local file only.
+--    Existing plaintext tokens are encrypted on the next startup. To rotate,
+--    set a new key and move the old one to TOKEN_ENCRYPTION_OLD_KEYS.
 --
 -- 4. Add these environment variables to Railway:
 --    SUPABASE_URL=https://your-project.supabase.co
 --    SUPABASE_SERVICE_KEY=eyJ...your-service-role-key
+--    TOKEN_ENCRYPTION_KEY=...base64-32-byte-key
 --
 -- =====================================================
 
@@ -2,12 +2,19 @@ const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const Anthropic = require('@anthropic-ai/sdk');
 const { createClient } = require('@supabase/supabase-js');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around - Plaid webhook signatures cover the exact bytes sent
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 const PORT = process.env.PORT || 3001;
 
@@ -37,6 +44,7 @@ const QB_ENVIRONMENT = process.env.QB_ENVIRONMENT || 'production';
 
 // Anthropic AI for categorization - initialized later
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const AI_MODEL = 'claude-sonnet-4-20250514';
 let anthropic = null;
 
 function initAnthropic() {
@@ -59,71 +67,586 @@ const QB_API_BASE = QB_ENVIRONMENT === 'sandbox'
     ? 'https://sandbox-quickbooks.api.intuit.com'
     : 'https://quickbooks.api.intuit.com';
 
-// Token storage
-let tokens = {
-    access_token: null,
-    refresh_token: null,
-    realm_id: null,
-    expires_at: null
-};
+// ========== COMPANIES ==========
+// Each business (ASAP, WealthPath, ...) has its own QuickBooks connection,
+// Plaid items, rules, overrides and caches. A request picks its company with
+// the X-Company-Id header or ?company=, and everything it touches - including
+// background work it starts - reads and writes that company's state. Without
+// one it gets the default company, whose data lives where it always has.
 
-// Category cache
-let categoryCache = {
-    categories: [],
-    lastFetched: null
-};
+const DEFAULT_COMPANY_ID = 'default';
+const DEFAULT_COMPANY_NAME = process.env.DEFAULT_COMPANY_NAME || 'ASAP';
+const COMPANIES_FILE = './companies.json';
+const COMPANY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+let companies = [];  // [{ id, name, createdAt }]
+const companyStates = {};
+const companyContext = new AsyncLocalStorage();
+
+function createCompanyState(id) {
+    return {
+        id,
+        // QuickBooks OAuth tokens
+        tokens: {
+            access_token: null,
+            refresh_token: null,
+            realm_id: null,
+            expires_at: null
+        },
+        categoryCache: {
+            categories: [],
+            lastFetched: null
+        },
+        // Normalized transactions from the last fetchFinancialData run
+        qbTransactionCache: {
+            transactions: [],
+            lastFetched: null
+        },
+        // Raw QuickBooks entities kept current by CDC
+        qbEntityCache: {
+            realmId: null,
+            entities: {},  // entity type → { Id: record }
+            lastSyncedAt: null,  // changedSince for the next CDC call
+            lastFullSyncAt: null,
+            plReport: null,
+            plRange: null
+        },
+        qbSyncInFlight: null,
+        // Learned rules - Supabase (ai_learned_categories) with file fallback
+        learnedRules: [],
+        // Every change to a rule, oldest first - lets a rule be rolled back
+        ruleHistory: [],
+        // Suggestions by id (pending, accepted, promoted, dismissed) - Supabase
+        // (rule_suggestions) with file fallback, so dismissals stick
+        ruleSuggestions: {},
+        statisticalModel: null,
+        statisticalReport: null,
+        aiSuggestionCache: {},
+        categorizationLog: [],
+        transactionOverrides: {},
+        flaggedExpenses: {},
+        vendorActions: {},
+        plaidAccounts: [],
+        // Transactions from /transactions/sync keyed by transaction_id
+        plaidTransactions: {},
+        // Plaid transaction_id → { splits, updatedBy, updatedAt }
+        plaidSplits: {},
+        // transaction_id → { status: posted|failed, qbType, qbId, requestId, attempts, ... }
+        plaidPostings: {}
+    };
+}
+
+companyStates[DEFAULT_COMPANY_ID] = createCompanyState(DEFAULT_COMPANY_ID);
+
+// State of the company the current request or task runs for
+function company() {
+    return companyContext.getStore() || companyStates[DEFAULT_COMPANY_ID];
+}
+
+function runForCompany(id, fn) {
+    return companyContext.run(companyStates[id], fn);
+}
+
+// The default company's files stay where they are; others get a directory each
+function companyFile(file) {
+    const { id } = company();
+    if (id === DEFAULT_COMPANY_ID) return file;
+    
+    const dir = `./companies/${id}`;
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return `${dir}/${file.replace(/^\.\//, '')}`;
+}
+
+async function loadCompanies() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('companies')
+                .select('*')
+                .order('created_at', { ascending: true });
+            
+            if (error) {
+                console.log('Supabase company load error, falling back to file:', error.message);
+            } else if (data && data.length > 0) {
+                companies = data.map(row => ({ id: row.id, name: row.name, createdAt: row.created_at }));
+                console.log(`✓ Loaded ${companies.length} company(ies) from Supabase`);
+            }
+        } catch (err) {
+            console.log('Supabase company load exception:', err.message);
+        }
+    }
+    
+    if (companies.length === 0) {
+        try {
+            if (fs.existsSync(COMPANIES_FILE)) {
+                companies = JSON.parse(fs.readFileSync(COMPANIES_FILE, 'utf8'));
+                console.log(`✓ Loaded ${companies.length} company(ies) from file`);
+            }
+        } catch (err) {
+            console.log('No companies found');
+        }
+    }
+    
+    if (!companies.some(c => c.id === DEFAULT_COMPANY_ID)) {
+        companies.unshift({ id: DEFAULT_COMPANY_ID, name: DEFAULT_COMPANY_NAME, createdAt: new Date().toISOString() });
+    }
+    companies.forEach(c => {
+        companyStates[c.id] = companyStates[c.id] || createCompanyState(c.id);
+    });
+    
+    await saveCompanies();
+}
+
+async function saveCompanies() {
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('companies')
+                .upsert(companies.map(c => ({ id: c.id, name: c.name, created_at: c.createdAt })), { onConflict: 'id' });
+            
+            if (error) {
+                console.error('Supabase company save error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase company save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        fs.writeFileSync(COMPANIES_FILE, JSON.stringify(companies, null, 2));
+    } catch (err) {
+        console.error('Error saving companies:', err);
+    }
+}
+
+// Run every API request in its company's context
+app.use('/api', (req, res, next) => {
+    // QuickBooks sends the company back as the OAuth state
+    const fromState = req.path === '/quickbooks/callback' && companyStates[req.query.state] ? req.query.state : null;
+    const id = req.get('X-Company-Id') || req.query.company || fromState || DEFAULT_COMPANY_ID;
+    
+    if (!companyStates[id]) {
+        return res.status(404).json({ error: `Unknown company: ${id}` });
+    }
+    companyContext.run(companyStates[id], next);
+});
+
+// ========== TOKEN ENCRYPTION ==========
+// QuickBooks and Plaid tokens are encrypted at rest (Supabase and the file
+// backup) with AES-256-GCM. TOKEN_ENCRYPTION_KEY is 32 random bytes, base64 or
+// hex. To rotate, set the new key and move the old one into
+// TOKEN_ENCRYPTION_OLD_KEYS (comma-separated) - tokens still on an old key, or
+// saved before encryption existed, are re-encrypted with the current key when
+// they are loaded. Drop the old key once every company has started up once.
+// Without a key QuickBooks and Plaid tokens are neither saved to nor loaded
+// from Supabase - they stay in the local file only.
+
+const TOKEN_CIPHER = 'aes-256-gcm';
+const ENCRYPTED_TOKEN_PREFIX = 'enc:v1:';
+
+function parseEncryptionKey(secret) {
+    const value = secret.trim();
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new Error('Token encryption keys must be 32 bytes (base64 or hex)');
+    }
+    // Stored with each ciphertext so rotation knows which key to use
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    return { id, key };
+}
+
+const tokenKeys = (() => {
+    if (!process.env.TOKEN_ENCRYPTION_KEY) {
+        return { current: null, byId: {} };
+    }
+    const current = parseEncryptionKey(process.env.TOKEN_ENCRYPTION_KEY);
+    const old = (process.env.TOKEN_ENCRYPTION_OLD_KEYS || '').split(',').filter(k => k.trim()).map(parseEncryptionKey);
+    const byId = {};
+    [current, ...old].forEach(k => { byId[k.id] = k.key; });
+    return { current, byId };
+})();
+
+function isEncryptedToken(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_TOKEN_PREFIX);
+}
+
+// Without a key, tokens are still saved (so connections survive a restart)
+// but in plaintext - say so every time rather than only at startup
+function warnUnencryptedTokens(label) {
+    if (!tokenKeys.current) {
+        console.warn(`⚠️ TOKEN_ENCRYPTION_KEY not set - saving ${label} unencrypted`);
+    }
+}
+
+function encryptToken(value) {
+    // Without a key tokens are stored as before
+    if (!value || !tokenKeys.current || isEncryptedToken(value)) return value;
+    
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(TOKEN_CIPHER, tokenKeys.current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return ENCRYPTED_TOKEN_PREFIX + [
+        tokenKeys.current.id,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+}
+
+function decryptToken(value) {
+    // Plaintext tokens saved before encryption are returned as-is
+    if (!isEncryptedToken(value)) return value;
+    
+    const [keyId, iv, tag, ciphertext] = value.slice(ENCRYPTED_TOKEN_PREFIX.length).split(':');
+    const key = tokenKeys.byId[keyId];
+    if (!key) {
+        throw new Error(`Token was encrypted with key ${keyId}, which is not in TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_OLD_KEYS`);
+    }
+    const decipher = crypto.createDecipheriv(TOKEN_CIPHER, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
 
-// Learned rules cache (loaded from memory, should come from Supabase in production)
-let learnedRules = [];
+// Stored token is plaintext or on an old key and should be saved again
+function tokenNeedsReencryption(value) {
+    if (!value || !tokenKeys.current) return false;
+    return !value.startsWith(`${ENCRYPTED_TOKEN_PREFIX}${tokenKeys.current.id}:`);
+}
 
+// QuickBooks tokens - Supabase (quickbooks_tokens) with file fallback
 const TOKEN_FILE = './qb_tokens.json';
 const RULES_FILE = './learned_rules.json';
+const RULE_HISTORY_FILE = './learned_rules_history.json';
 
 async function loadTokens() {
+    // Try Supabase first - without a key tokens are kept out of it
+    if (supabase && tokenKeys.current) {
+        try {
+            const { data, error } = await supabase
+                .from('quickbooks_tokens')
+                .select('*')
+                .eq('company_id', company().id)
+                .maybeSingle();
+            
+            if (error) throw error;
+            if (data) {
+                company().tokens = {
+                    access_token: decryptToken(data.access_token),
+                    refresh_token: decryptToken(data.refresh_token),
+                    realm_id: data.realm_id,
+                    expires_at: new Date(data.expires_at).getTime()
+                };
+                console.log('✓ Loaded QuickBooks tokens from Supabase');
+                
+                if (tokenNeedsReencryption(data.access_token) || tokenNeedsReencryption(data.refresh_token)) {
+                    console.log('  Re-encrypting QuickBooks tokens...');
+                    await saveTokens();
+                }
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase token load error, falling back to file:', err.message);
+        }
+    }
+    
+    // Fallback to file
     try {
-        if (fs.existsSync(TOKEN_FILE)) {
-            const data = fs.readFileSync(TOKEN_FILE, 'utf8');
-            tokens = JSON.parse(data);
+        if (fs.existsSync(companyFile(TOKEN_FILE))) {
+            const data = JSON.parse(fs.readFileSync(companyFile(TOKEN_FILE), 'utf8'));
+            company().tokens = {
+                ...data,
+                access_token: decryptToken(data.access_token),
+                refresh_token: decryptToken(data.refresh_token)
+            };
             console.log('✓ Loaded saved tokens');
+            
+            // Migrate to Supabase and encrypt any plaintext tokens
+            if ((supabase && tokenKeys.current && data.access_token) || tokenNeedsReencryption(data.access_token) || tokenNeedsReencryption(data.refresh_token)) {
+                console.log('  Migrating QuickBooks tokens...');
+                await saveTokens();
+            }
         }
     } catch (err) {
-        console.log('No saved tokens found');
+        console.log('Could not load saved tokens:', err.message);
     }
 }
 
 async function saveTokens() {
+    const { access_token, refresh_token, realm_id, expires_at } = company().tokens;
+    const stored = {
+        access_token: encryptToken(access_token),
+        refresh_token: encryptToken(refresh_token),
+        realm_id,
+        expires_at
+    };
+    if (access_token) {
+        warnUnencryptedTokens('QuickBooks tokens to the local file');
+    }
+    
+    // Plaintext QuickBooks tokens never go to Supabase - only the local file
+    if (supabase && access_token && tokenKeys.current) {
+        try {
+            const { error } = await supabase
+                .from('quickbooks_tokens')
+                .upsert({
+                    company_id: company().id,
+                    access_token: stored.access_token,
+                    refresh_token: stored.refresh_token,
+                    realm_id,
+                    expires_at: new Date(expires_at).toISOString(),
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'company_id' });
+            
+            if (error) {
+                console.error('Supabase token save error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase token save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
     try {
-        fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokens, null, 2));
+        fs.writeFileSync(companyFile(TOKEN_FILE), JSON.stringify(stored, null, 2));
     } catch (err) {
         console.error('Error saving tokens:', err);
     }
 }
 
+async function deleteTokens() {
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('quickbooks_tokens')
+                .delete()
+                .eq('company_id', company().id);
+            
+            if (error) {
+                console.error('Supabase token delete error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase token delete exception:', err.message);
+        }
+    }
+    try { fs.unlinkSync(companyFile(TOKEN_FILE)); } catch (e) {}
+}
+
+function ruleToRow(rule) {
+    return {
+        id: rule.id,
+        company_id: company().id,
+        pattern: rule.pattern,
+        pattern_type: rule.patternType,
+        category_id: rule.categoryId || null,
+        category: rule.categoryName,
+        transaction_type: rule.transactionType || null,
+        amount_min: rule.amountMin,
+        amount_max: rule.amountMax,
+        institution: rule.institution,
+        account_id: rule.accountId,
+        direction: rule.direction,
+        priority: rule.priority,
+        confidence: rule.confidence ?? 1.0,
+        times_used: rule.timesUsed || 1,
+        version: rule.version || 1,
+        learned_by: rule.learnedBy || null,
+        learned_at: rule.createdAt,
+        updated_at: rule.updatedAt || rule.createdAt
+    };
+}
+
+function rowToRule(row) {
+    return normalizeRule({
+        id: row.id,
+        pattern: row.pattern,
+        patternType: row.pattern_type,
+        categoryId: row.category_id,
+        categoryName: row.category,
+        transactionType: row.transaction_type,
+        amountMin: row.amount_min != null ? Number(row.amount_min) : null,
+        amountMax: row.amount_max != null ? Number(row.amount_max) : null,
+        institution: row.institution,
+        accountId: row.account_id,
+        direction: row.direction,
+        priority: row.priority,
+        confidence: row.confidence != null ? Number(row.confidence) : 1.0,
+        timesUsed: row.times_used,
+        version: row.version,
+        learnedBy: row.learned_by,
+        createdAt: row.learned_at,
+        updatedAt: row.updated_at
+    });
+}
+
 async function loadRules() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('ai_learned_categories')
+                .select('*')
+                .eq('company_id', company().id);
+            
+            if (error) {
+                console.log('Supabase rules load error, falling back to file:', error.message);
+            } else {
+                // History outlives its rules - deleted rules can still be rolled back
+                const history = await supabase
+                    .from('ai_learned_category_history')
+                    .select('*')
+                    .eq('company_id', company().id)
+                    .order('changed_at', { ascending: true });
+                
+                if (data.length > 0 || (history.data && history.data.length > 0)) {
+                    company().learnedRules = data.map(rowToRule);
+                    company().ruleHistory = (history.data || []).map(row => ({
+                        ruleId: row.rule_id,
+                        version: row.version,
+                        action: row.action,
+                        changedBy: row.changed_by,
+                        oldCategory: row.old_category,
+                        newCategory: row.new_category,
+                        rule: row.snapshot,
+                        changedAt: row.changed_at
+                    }));
+                    
+                    console.log(`✓ Loaded ${company().learnedRules.length} learned rules (${company().ruleHistory.length} revisions) from Supabase`);
+                    return;
+                }
+            }
+        } catch (err) {
+            console.log('Supabase rules load exception:', err.message);
+        }
+    }
+    
+    // Fallback to file
     try {
-        if (fs.existsSync(RULES_FILE)) {
-            const data = fs.readFileSync(RULES_FILE, 'utf8');
-            learnedRules = JSON.parse(data);
-            console.log(`✓ Loaded ${learnedRules.length} learned rules`);
+        if (fs.existsSync(companyFile(RULES_FILE))) {
+            const data = fs.readFileSync(companyFile(RULES_FILE), 'utf8');
+            company().learnedRules = JSON.parse(data).map(normalizeRule);
+            console.log(`✓ Loaded ${company().learnedRules.length} learned rules`);
+        }
+        if (fs.existsSync(companyFile(RULE_HISTORY_FILE))) {
+            company().ruleHistory = JSON.parse(fs.readFileSync(companyFile(RULE_HISTORY_FILE), 'utf8'));
+        }
+        
+        // If Supabase is available, migrate file rules to Supabase
+        if (supabase && (company().learnedRules.length > 0 || company().ruleHistory.length > 0)) {
+            console.log('Migrating learned rules to Supabase...');
+            await saveRules();
+            for (const revision of company().ruleHistory) {
+                await saveRuleRevisionToSupabase(revision);
+            }
         }
     } catch (err) {
         console.log('No learned rules found');
     }
 }
 
-async function saveRules() {
+// Upserts only the rules that changed - one bad row can't block every other save
+async function saveRules(changedRules = company().learnedRules) {
+    // Save to Supabase if available
+    if (supabase && changedRules.length > 0) {
+        try {
+            const { error } = await supabase
+                .from('ai_learned_categories')
+                .upsert(changedRules.map(ruleToRow), { onConflict: 'id' });
+            
+            if (error) {
+                console.error('Supabase rules save error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase rules save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
     try {
-        fs.writeFileSync(RULES_FILE, JSON.stringify(learnedRules, null, 2));
+        fs.writeFileSync(companyFile(RULES_FILE), JSON.stringify(company().learnedRules, null, 2));
     } catch (err) {
         console.error('Error saving rules:', err);
     }
 }
 
+async function deleteRuleFromSupabase(ruleId) {
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('ai_learned_categories')
+                .delete()
+                .eq('id', ruleId);
+            
+            if (error) {
+                console.error('Supabase rule delete error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase rule delete exception:', err.message);
+        }
+    }
+}
+
+async function saveRuleRevisionToSupabase(revision) {
+    try {
+        const { error } = await supabase
+            .from('ai_learned_category_history')
+            .insert({
+                company_id: company().id,
+                rule_id: revision.ruleId,
+                version: revision.version,
+                action: revision.action,
+                changed_by: revision.changedBy,
+                old_category: revision.oldCategory,
+                new_category: revision.newCategory,
+                snapshot: revision.rule,
+                changed_at: revision.changedAt
+            });
+        
+        if (error) {
+            console.error('Supabase rule history save error:', error.message);
+        }
+    } catch (err) {
+        console.error('Supabase rule history save exception:', err.message);
+    }
+}
+
+// Record a change to a rule. `rule` is the rule after the change (before it
+// for deletes), `previous` the rule before it (null on create).
+async function recordRuleRevision(action, rule, previous, changedBy) {
+    const revision = {
+        ruleId: rule.id,
+        version: rule.version || 1,
+        action,
+        changedBy: changedBy || null,
+        oldCategory: previous ? previous.categoryName : null,
+        newCategory: action === 'delete' ? null : rule.categoryName,
+        rule: { ...rule },
+        changedAt: new Date().toISOString()
+    };
+    
+    company().ruleHistory.push(revision);
+    
+    if (supabase) {
+        await saveRuleRevisionToSupabase(revision);
+    }
+    
+    try {
+        fs.writeFileSync(companyFile(RULE_HISTORY_FILE), JSON.stringify(company().ruleHistory, null, 2));
+    } catch (err) {
+        console.error('Error saving rule history:', err);
+    }
+    
+    return revision;
+}
+
 // ========== AUTH ENDPOINTS ==========
 
 app.get('/api/quickbooks/auth', (req, res) => {
     const scopes = 'com.intuit.quickbooks.accounting';
-    const authUrl = `${QB_AUTH_URL}?client_id=${QB_CLIENT_ID}&response_type=code&scope=${scopes}&redirect_uri=${encodeURIComponent(QB_REDIRECT_URI)}&state=security_token`;
+    const authUrl = `${QB_AUTH_URL}?client_id=${QB_CLIENT_ID}&response_type=code&scope=${scopes}&redirect_uri=${encodeURIComponent(QB_REDIRECT_URI)}&state=${company().id}`;
     res.json({ url: authUrl });
 });
 
@@ -150,7 +673,7 @@ app.get('/api/quickbooks/callback', async (req, res) => {
         const tokenData = await response.json();
 
         if (tokenData.access_token) {
-            tokens = {
+            company().tokens = {
                 access_token: tokenData.access_token,
                 refresh_token: tokenData.refresh_token,
                 realm_id: realmId,
@@ -163,7 +686,7 @@ app.get('/api/quickbooks/callback', async (req, res) => {
             await fetchAndCacheCategories();
             
             const frontendUrl = process.env.FRONTEND_URL || 'https://cute-cat-d9631c.netlify.app';
-            res.redirect(`${frontendUrl}/admin/financials?connected=true`);
+            res.redirect(`${frontendUrl}/admin/financials?connected=true&company=${company().id}`);
         } else {
             console.error('Token error:', tokenData);
             res.status(400).send('Failed to get access token');
@@ -176,8 +699,9 @@ app.get('/api/quickbooks/callback', async (req, res) => {
 
 app.get('/api/quickbooks/status', (req, res) => {
     res.json({
-        connected: !!tokens.access_token,
-        company_id: tokens.realm_id,
+        connected: !!company().tokens.access_token,
+        company_id: company().tokens.realm_id,
+        company: company().id,
         ai_enabled: !!anthropic
     });
 });
@@ -194,7 +718,10 @@ app.get('/api/debug/env', (req, res) => {
             PLAID_CLIENT_ID: !!process.env.PLAID_CLIENT_ID,
             PLAID_SECRET: !!process.env.PLAID_SECRET,
             PLAID_ENV: process.env.PLAID_ENV || '(not set, defaults to sandbox)',
+            PLAID_WEBHOOK_URL: !!process.env.PLAID_WEBHOOK_URL,
             FRONTEND_URL: !!process.env.FRONTEND_URL,
+            TOKEN_ENCRYPTION_KEY: !!process.env.TOKEN_ENCRYPTION_KEY,
+            TOKEN_ENCRYPTION_OLD_KEYS: !!process.env.TOKEN_ENCRYPTION_OLD_KEYS,
             PORT: process.env.PORT || '(not set, defaults to 3001)'
         },
         plaid_client_id_length: process.env.PLAID_CLIENT_ID ? process.env.PLAID_CLIENT_ID.length : 0,
@@ -203,16 +730,16 @@ app.get('/api/debug/env', (req, res) => {
     });
 });
 
-app.post('/api/quickbooks/disconnect', (req, res) => {
-    tokens = { access_token: null, refresh_token: null, realm_id: null, expires_at: null };
-    try { fs.unlinkSync(TOKEN_FILE); } catch (e) {}
+app.post('/api/quickbooks/disconnect', async (req, res) => {
+    company().tokens = { access_token: null, refresh_token: null, realm_id: null, expires_at: null };
+    await deleteTokens();
     res.json({ success: true });
 });
 
 // ========== TOKEN REFRESH ==========
 
 async function refreshAccessToken() {
-    if (!tokens.refresh_token) {
+    if (!company().tokens.refresh_token) {
         throw new Error('No refresh token available');
     }
 
@@ -225,15 +752,15 @@ async function refreshAccessToken() {
             'Content-Type': 'application/x-www-form-urlencoded',
             'Authorization': `Basic ${authHeader}`
         },
-        body: `grant_type=refresh_token&refresh_token=${tokens.refresh_token}`
+        body: `grant_type=refresh_token&refresh_token=${company().tokens.refresh_token}`
     });
 
     const tokenData = await response.json();
 
     if (tokenData.access_token) {
-        tokens.access_token = tokenData.access_token;
-        tokens.refresh_token = tokenData.refresh_token || tokens.refresh_token;
-        tokens.expires_at = Date.now() + (tokenData.expires_in * 1000);
+        company().tokens.access_token = tokenData.access_token;
+        company().tokens.refresh_token = tokenData.refresh_token || company().tokens.refresh_token;
+        company().tokens.expires_at = Date.now() + (tokenData.expires_in * 1000);
         await saveTokens();
         console.log('✓ Token refreshed');
     } else {
@@ -242,11 +769,11 @@ async function refreshAccessToken() {
 }
 
 async function ensureValidToken() {
-    if (!tokens.access_token) {
+    if (!company().tokens.access_token) {
         throw new Error('Not authenticated');
     }
     
-    if (tokens.expires_at && Date.now() > tokens.expires_at - 300000) {
+    if (company().tokens.expires_at && Date.now() > company().tokens.expires_at - 300000) {
         await refreshAccessToken();
     }
 }
@@ -256,12 +783,12 @@ async function ensureValidToken() {
 async function qbApiCall(endpoint, method = 'GET', body = null) {
     await ensureValidToken();
     
-    const url = `${QB_API_BASE}/v3/company/${tokens.realm_id}${endpoint}`;
+    const url = `${QB_API_BASE}/v3/company/${company().tokens.realm_id}${endpoint}`;
     
     const options = {
         method,
         headers: {
-            'Authorization': `Bearer ${tokens.access_token}`,
+            'Authorization': `Bearer ${company().tokens.access_token}`,
             'Accept': 'application/json',
             'Content-Type': 'application/json'
         }
@@ -316,1015 +843,6836 @@ async function fetchAllRecords(entityType, whereClause = '') {
 
 // ========== CATEGORIES ==========
 
+const EXPENSE_ACCOUNT_TYPES = ['Expense', 'Cost of Goods Sold', 'Other Expense', 'Other Current Liability'];
+const INCOME_ACCOUNT_TYPES = ['Income', 'Other Income'];
+
 async function fetchAndCacheCategories() {
     console.log('  → Fetching QB Categories...');
     const accounts = await fetchAllRecords('Account');
     
-    // Filter to expense-type accounts
-    const expenseAccounts = accounts.filter(a => 
-        ['Expense', 'Cost of Goods Sold', 'Other Expense', 'Other Current Liability'].includes(a.AccountType)
+    // Expense and income (revenue) accounts - kind says which side of the P&L
+    const categoryAccounts = accounts.filter(a =>
+        EXPENSE_ACCOUNT_TYPES.includes(a.AccountType) || INCOME_ACCOUNT_TYPES.includes(a.AccountType)
     );
     
-    categoryCache = {
-        categories: expenseAccounts.map(a => ({
+    company().categoryCache = {
+        categories: categoryAccounts.map(a => ({
             id: a.Id,
             name: a.Name,
             fullName: a.FullyQualifiedName || a.Name,
             type: a.AccountType,
             subType: a.AccountSubType,
+            kind: INCOME_ACCOUNT_TYPES.includes(a.AccountType) ? 'income' : 'expense',
             active: a.Active
         })),
         lastFetched: Date.now()
     };
     
-    console.log(`     Cached ${categoryCache.categories.length} expense categories`);
-    return categoryCache.categories;
+    const incomeCount = categoriesForKind('income').length;
+    console.log(`     Cached ${company().categoryCache.categories.length - incomeCount} expense and ${incomeCount} income categories`);
+    return company().categoryCache.categories;
+}
+
+function categoriesForKind(kind) {
+    return company().categoryCache.categories.filter(c => c.kind === kind);
+}
+
+// 'income' or 'expense'. QuickBooks rows carry a type and positive = money in;
+// Plaid rows are the other way round.
+function transactionKind(txn) {
+    if (txn.type === 'income' || txn.type === 'expense') return txn.type;
+    const moneyIn = txn.source === 'plaid' ? txn.amount < 0 : txn.amount > 0;
+    return moneyIn ? 'income' : 'expense';
 }
 
 app.get('/api/quickbooks/categories', async (req, res) => {
     try {
-        if (!tokens.access_token) {
+        if (!company().tokens.access_token) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
         
         // Refresh if older than 1 hour
-        if (!categoryCache.lastFetched || Date.now() - categoryCache.lastFetched > 3600000) {
+        if (!company().categoryCache.lastFetched || Date.now() - company().categoryCache.lastFetched > 3600000) {
             await fetchAndCacheCategories();
         }
         
-        res.json({ categories: categoryCache.categories });
+        // ?kind=expense|income
+        const categories = req.query.kind ? categoriesForKind(req.query.kind) : company().categoryCache.categories;
+        res.json({ categories });
     } catch (err) {
         console.error('Category fetch error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// ========== AI CATEGORIZATION ==========
+// ========== MERCHANT NORMALIZATION ==========
+// Bank and QuickBooks merchant strings carry card numbers, store ids, dates,
+// phone numbers, city/state suffixes and processor prefixes. Strip those and
+// map known aliases to one canonical merchant name.
+
+const MERCHANT_ALIASES_FILE = './merchant_aliases.json';
+
+const BUILT_IN_MERCHANT_ALIASES = [
+    { alias: 'facebk', canonical: 'facebook' },
+    { alias: 'fb ads', canonical: 'facebook' },
+    { alias: 'meta platforms', canonical: 'facebook' },
+    { alias: 'go daddy', canonical: 'godaddy' },
+    { alias: 'amzn', canonical: 'amazon' },
+    { alias: 'amazon mktp', canonical: 'amazon' },
+    { alias: 'amazon mktpl', canonical: 'amazon' },
+    { alias: 'amazon com', canonical: 'amazon' },
+    { alias: 'sendgrid', canonical: 'twilio sendgrid' },
+    { alias: 'msft', canonical: 'microsoft' },
+    { alias: 'ring central', canonical: 'ringcentral' },
+    { alias: 'ready refresh', canonical: 'readyrefresh' },
+    { alias: 'identity iq', canonical: 'identityiq' },
+    { alias: 'smartcredit', canonical: 'smart credit' },
+    // "UBER *TRIP HELP.UBER.COM", "LYFT *RIDE SUN 6PM"
+    { alias: 'uber', canonical: 'uber' },
+    { alias: 'uber eats', canonical: 'uber eats' },
+    { alias: 'lyft', canonical: 'lyft' }
+];
+
+// User-managed aliases, checked before the built-ins
+let merchantAliases = [];
+
+const PROCESSOR_PREFIXES = [
+    /^(pos|debit card|checkcard|check card|card|visa|mc|ach|recurring)\s+(purchase|debit|payment|pmt)?\s*/,
+    /^purchase\s+(authorized|return)\s+on\s+\d{1,2}\/\d{1,2}\s*/,
+    /^recurring\s+payment\s+authorized\s+on\s+\d{1,2}\/\d{1,2}\s*/,
+    /^(sq|tst|sp|pp|paypal|py|ckd|dd|in|ic|bt)\s?\*\s*/,
+    /^(paypal|google)\s+\*\s*/
+];
+
+const US_STATE_CODES = new Set(['al', 'ak', 'az', 'ar', 'ca', 'co', 'ct', 'de', 'fl', 'ga', 'hi', 'id', 'il', 'in', 'ia', 'ks', 'ky', 'la', 'me', 'md', 'ma', 'mi', 'mn', 'ms', 'mo', 'mt', 'ne', 'nv', 'nh', 'nj', 'nm', 'ny', 'nc', 'nd', 'oh', 'ok', 'or', 'pa', 'ri', 'sc', 'sd', 'tn', 'tx', 'ut', 'vt', 'va', 'wa', 'wv', 'wi', 'wy', 'dc']);
+
+// Cities that banks append before the state code ("FACEBK ADS MENLO PARK CA")
+const US_CITY_NAMES = new Set([
+    'new york', 'brooklyn', 'los angeles', 'chicago', 'houston', 'phoenix', 'philadelphia', 'san antonio',
+    'san diego', 'dallas', 'san jose', 'austin', 'jacksonville', 'fort worth', 'columbus', 'charlotte',
+    'san francisco', 'indianapolis', 'seattle', 'denver', 'washington', 'boston', 'el paso', 'nashville',
+    'detroit', 'oklahoma city', 'portland', 'las vegas', 'memphis', 'louisville', 'baltimore', 'milwaukee',
+    'albuquerque', 'tucson', 'fresno', 'sacramento', 'kansas city', 'mesa', 'atlanta', 'omaha',
+    'colorado springs', 'raleigh', 'miami', 'long beach', 'virginia beach', 'oakland', 'minneapolis',
+    'tulsa', 'tampa', 'arlington', 'new orleans', 'cleveland', 'honolulu', 'anaheim', 'orlando', 'irvine',
+    'pittsburgh', 'st louis', 'cincinnati', 'salt lake city', 'scottsdale', 'plano', 'newark', 'buffalo',
+    'fort lauderdale', 'boca raton', 'santa monica', 'pasadena', 'burbank', 'glendale', 'san mateo',
+    'menlo park', 'palo alto', 'mountain view', 'sunnyvale', 'cupertino', 'redwood city', 'santa clara',
+    'redmond', 'bellevue', 'kirkland', 'cambridge', 'provo', 'lehi', 'draper', 'boulder', 'reno'
+]);
+
+let normalizedMerchantCache = {};
+
+// Tokens with digits are ids, times ("6pm") or dates, unless they are part of
+// the name: mostly a word ("1password"), or one or two digits leading it
+// ("7-eleven", "24 hour fitness", "3m")
+function isNameDigitToken(token, before) {
+    if (/[a-z]{4}/.test(token)) return true;
+    return before.trim() === '' && (token.match(/\d/g) || []).length <= 2;
+}
 
-function findMatchingRule(description, vendorName) {
-    const searchText = `${description} ${vendorName}`.toLowerCase();
+function cleanMerchantString(raw) {
+    let text = String(raw || '').toLowerCase().trim();
     
-    for (const rule of learnedRules) {
-        const pattern = rule.pattern.toLowerCase();
-        let matched = false;
-        
-        if (rule.patternType === 'exact') {
-            matched = searchText === pattern;
-        } else if (rule.patternType === 'starts_with') {
-            matched = searchText.startsWith(pattern);
-        } else {
-            // Default: contains
-            matched = searchText.includes(pattern);
-        }
-        
-        if (matched) {
-            return {
-                categoryId: rule.categoryId,
-                categoryName: rule.categoryName,
-                confidence: rule.confidence || 1.0,
-                source: 'learned_rule',
-                ruleId: rule.id
-            };
+    // Processor prefixes can stack ("POS PURCHASE SQ *COFFEE")
+    for (let pass = 0; pass < 3; pass++) {
+        const before = text;
+        PROCESSOR_PREFIXES.forEach(prefix => {
+            text = text.replace(prefix, '');
+        });
+        text = text.replace(/^\d{3,6}\s+/, ''); // leading store/auth numbers
+        if (text === before) break;
+    }
+    
+    text = text
+        .replace(/\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b/g, ' ')      // dates
+        .replace(/\b(x{2,}|\*{2,})[\dx*]*\b/g, ' ')              // masked card numbers
+        .replace(/\bcard\s+\d{4}\b/g, ' ')                       // "card 1234"
+        .replace(/\b\d{3}[-.\s]?[\dx]{3}[-.\s]?[\dx]{4}\b/g, ' ') // phone numbers, incl. 877-xxx-xxxx
+        .replace(/\b\d{3}-x+\b/g, ' ')                           // truncated phone numbers
+        .replace(/#\s*\d+/g, ' ')                                // store ids
+        .replace(/\b(store|str|loc)\s*\d+\b/g, ' ')
+        .replace(/\b[a-z]*\d[a-z\d]*\b/g, (token, offset, str) => (isNameDigitToken(token, str.slice(0, offset)) ? token : ' '))
+        .replace(/\.(com|net|org|io)\b/g, ' $1')
+        .replace(/[^a-z\d&' ]+/g, ' ')
+        .replace(/\b(inc|llc|ltd|corp|co)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    
+    // Trailing state code, e.g. "twilio sendgrid ca"
+    const words = text.split(' ');
+    if (words.length > 1 && US_STATE_CODES.has(words[words.length - 1])) {
+        words.pop();
+    }
+    
+    // Then a trailing city, longest name first
+    for (let size = 3; size >= 1; size--) {
+        if (words.length > size && US_CITY_NAMES.has(words.slice(-size).join(' '))) {
+            words.splice(-size);
+            break;
         }
     }
     
-    return null;
+    return words.join(' ');
 }
 
-async function aiCategorize(transaction, categories) {
-    if (!anthropic) {
-        return null;
+// Returns { raw, cleaned, canonical, display }
+function normalizeMerchant(raw) {
+    const key = String(raw || '');
+    if (normalizedMerchantCache[key]) {
+        return normalizedMerchantCache[key];
     }
     
-    const categoryList = categories.map(c => `- ${c.name} (ID: ${c.id})`).join('\n');
+    const cleaned = cleanMerchantString(key);
+    const padded = ` ${cleaned} `;
     
-    const prompt = `You are a bookkeeper categorizing a business expense transaction.
-
-Transaction details:
-- Description: ${transaction.description}
-- Vendor: ${transaction.vendor || 'Unknown'}
-- Amount: $${Math.abs(transaction.amount).toFixed(2)}
-- Date: ${transaction.date}
-
-Available expense categories:
-${categoryList}
-
-Based on the transaction description and vendor, which category best fits this expense?
-
-Respond in JSON format only:
-{
-    "categoryId": "the ID of the best matching category",
-    "categoryName": "the name of the category",
-    "confidence": 0.0 to 1.0 (how confident you are),
-    "reasoning": "brief explanation of why you chose this category"
+    // Longest alias wins so "amazon mktpl" beats "amazon"
+    const alias = [...merchantAliases, ...BUILT_IN_MERCHANT_ALIASES]
+        .filter(a => padded.includes(` ${a.alias} `))
+        .sort((a, b) => b.alias.length - a.alias.length)[0];
+    
+    const canonical = alias ? alias.canonical : cleaned;
+    const result = {
+        raw: key,
+        cleaned,
+        canonical,
+        display: canonical.replace(/\b[a-z]/g, c => c.toUpperCase())
+    };
+    
+    if (Object.keys(normalizedMerchantCache).length > 20000) {
+        normalizedMerchantCache = {};
+    }
+    normalizedMerchantCache[key] = result;
+    return result;
 }
 
-If you cannot determine a category with at least 50% confidence, respond:
-{
-    "categoryId": null,
-    "categoryName": null,
-    "confidence": 0,
-    "reasoning": "explanation of why it's unclear"
-}`;
+// Canonical merchant for a transaction - vendor/merchant name when we have it
+function transactionMerchant(description, vendor) {
+    return normalizeMerchant(vendor || description).canonical;
+}
 
-    try {
-        const response = await anthropic.messages.create({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 500,
-            messages: [{ role: 'user', content: prompt }]
-        });
-        
-        const content = response.content[0].text;
-        // Extract JSON from response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const result = JSON.parse(jsonMatch[0]);
-            return {
-                ...result,
-                source: 'ai'
-            };
+async function loadMerchantAliases() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('merchant_aliases')
+                .select('*');
+            
+            if (error) {
+                console.log('Supabase alias load error, falling back to file:', error.message);
+            } else if (data && data.length > 0) {
+                merchantAliases = data.map(row => ({
+                    alias: row.alias,
+                    canonical: row.canonical,
+                    createdBy: row.created_by,
+                    createdAt: row.created_at
+                }));
+                console.log(`✓ Loaded ${merchantAliases.length} merchant alias(es) from Supabase`);
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase alias load exception:', err.message);
         }
-    } catch (err) {
-        console.error('AI categorization error:', err);
     }
     
-    return null;
-}
-
-// Endpoint to categorize a single transaction
-app.post('/api/quickbooks/categorize', async (req, res) => {
+    // Fallback to file
     try {
-        if (!tokens.access_token) {
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
-        
-        const { transaction } = req.body;
-        
-        // First check learned rules
-        const ruleMatch = findMatchingRule(transaction.description, transaction.vendor);
-        if (ruleMatch && ruleMatch.confidence >= 0.95) {
-            return res.json({
-                suggestion: ruleMatch,
-                autoApproved: true
-            });
-        }
-        
-        // Fall back to AI
-        if (!categoryCache.categories.length) {
-            await fetchAndCacheCategories();
+        if (fs.existsSync(MERCHANT_ALIASES_FILE)) {
+            merchantAliases = JSON.parse(fs.readFileSync(MERCHANT_ALIASES_FILE, 'utf8'));
+            console.log(`✓ Loaded ${merchantAliases.length} merchant alias(es) from file`);
         }
-        
-        const aiResult = await aiCategorize(transaction, categoryCache.categories);
-        
-        res.json({
-            suggestion: aiResult || ruleMatch,
-            autoApproved: false
-        });
     } catch (err) {
-        console.error('Categorization error:', err);
-        res.status(500).json({ error: err.message });
+        console.log('No merchant aliases found');
     }
-});
+}
 
-// Batch categorize multiple transactions
-app.post('/api/quickbooks/categorize-batch', async (req, res) => {
-    try {
-        if (!tokens.access_token) {
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
-        
-        const { transactions } = req.body;
-        
-        if (!categoryCache.categories.length) {
-            await fetchAndCacheCategories();
-        }
-        
-        const results = [];
-        
-        for (const txn of transactions) {
-            // Check learned rules first
-            const ruleMatch = findMatchingRule(txn.description, txn.vendor);
-            
-            if (ruleMatch && ruleMatch.confidence >= 0.95) {
-                results.push({
-                    transactionId: txn.id,
-                    suggestion: ruleMatch,
-                    autoApproved: true
-                });
-                continue;
+async function saveMerchantAliases(deletedAlias = null) {
+    normalizedMerchantCache = {};
+    
+    if (supabase) {
+        try {
+            if (merchantAliases.length > 0) {
+                const { error } = await supabase
+                    .from('merchant_aliases')
+                    .upsert(merchantAliases.map(a => ({
+                        alias: a.alias,
+                        canonical: a.canonical,
+                        created_by: a.createdBy || null,
+                        created_at: a.createdAt
+                    })), { onConflict: 'alias' });
+                
+                if (error) {
+                    console.error('Supabase alias save error:', error.message);
+                }
             }
-            
-            // Try AI for unmatched transactions
-            const aiResult = await aiCategorize(txn, categoryCache.categories);
-            
-            results.push({
-                transactionId: txn.id,
-                suggestion: aiResult || ruleMatch,
-                autoApproved: false
-            });
+            if (deletedAlias) {
+                await supabase.from('merchant_aliases').delete().eq('alias', deletedAlias);
+            }
+        } catch (err) {
+            console.error('Supabase alias save exception:', err.message);
         }
-        
-        res.json({ results });
-    } catch (err) {
-        console.error('Batch categorization error:', err);
-        res.status(500).json({ error: err.message });
     }
-});
-
-// ========== UPDATE QUICKBOOKS TRANSACTION ==========
-
-app.post('/api/quickbooks/update-transaction', async (req, res) => {
+    
+    // Always save to file as backup
     try {
-        if (!tokens.access_token) {
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
-        
-        const { transactionId, transactionType, categoryId, categoryName } = req.body;
-        
-        console.log(`Updating ${transactionType} ${transactionId} to category ${categoryName}`);
-        
-        // Fetch the current transaction
-        const query = `SELECT * FROM ${transactionType} WHERE Id = '${transactionId}'`;
-        const result = await qbApiCall(`/query?query=${encodeURIComponent(query)}`);
-        
-        const transaction = result.QueryResponse?.[transactionType]?.[0];
-        if (!transaction) {
-            return res.status(404).json({ error: 'Transaction not found' });
-        }
-        
-        // Update the line items with new category
-        if (transaction.Line) {
-            transaction.Line = transaction.Line.map(line => {
-                if (line.DetailType === 'AccountBasedExpenseLineDetail') {
-                    line.AccountBasedExpenseLineDetail.AccountRef = {
-                        value: categoryId,
-                        name: categoryName
-                    };
-                }
-                return line;
-            });
-        }
-        
-        // Send update to QuickBooks
-        const updateResult = await qbApiCall(
-            `/${transactionType.toLowerCase()}?operation=update`,
-            'POST',
-            transaction
-        );
-        
-        console.log(`✓ Updated ${transactionType} ${transactionId}`);
-        
-        res.json({ 
-            success: true, 
-            transaction: updateResult[transactionType]
-        });
+        fs.writeFileSync(MERCHANT_ALIASES_FILE, JSON.stringify(merchantAliases, null, 2));
     } catch (err) {
-        console.error('Update transaction error:', err);
-        res.status(500).json({ error: err.message });
+        console.error('Error saving merchant aliases:', err);
     }
-});
+}
 
-// ========== LEARN FROM APPROVAL ==========
+// List aliases (user-managed first, then built-ins)
+app.get('/api/merchants/aliases', (req, res) => {
+    res.json({
+        aliases: merchantAliases,
+        builtIn: BUILT_IN_MERCHANT_ALIASES
+    });
+});
 
-app.post('/api/quickbooks/learn-rule', async (req, res) => {
+// Add or update an alias: { alias: "facebk", canonical: "facebook" }
+app.post('/api/merchants/aliases', async (req, res) => {
     try {
-        const { pattern, categoryId, categoryName, patternType = 'contains' } = req.body;
+        const alias = cleanMerchantString(req.body.alias);
+        const canonical = cleanMerchantString(req.body.canonical);
         
-        // Check if rule already exists
-        const existingIndex = learnedRules.findIndex(r => 
-            r.pattern.toLowerCase() === pattern.toLowerCase() && r.patternType === patternType
-        );
+        if (!alias || !canonical) {
+            return res.status(400).json({ error: 'alias and canonical required' });
+        }
         
-        if (existingIndex >= 0) {
-            // Update existing rule
-            learnedRules[existingIndex].categoryId = categoryId;
-            learnedRules[existingIndex].categoryName = categoryName;
-            learnedRules[existingIndex].timesUsed = (learnedRules[existingIndex].timesUsed || 1) + 1;
-            learnedRules[existingIndex].updatedAt = new Date().toISOString();
+        const existing = merchantAliases.find(a => a.alias === alias);
+        if (existing) {
+            existing.canonical = canonical;
+            existing.updatedAt = new Date().toISOString();
         } else {
-            // Add new rule
-            learnedRules.push({
-                id: `rule-${Date.now()}`,
-                pattern: pattern,
-                patternType: patternType,
-                categoryId: categoryId,
-                categoryName: categoryName,
-                confidence: 1.0,
-                timesUsed: 1,
+            merchantAliases.push({
+                alias,
+                canonical,
+                createdBy: req.body.createdBy || null,
                 createdAt: new Date().toISOString()
             });
         }
         
-        await saveRules();
+        await saveMerchantAliases();
         
-        console.log(`✓ Learned rule: "${pattern}" → ${categoryName}`);
+        console.log(`✓ Merchant alias: "${alias}" → ${canonical}`);
         
-        res.json({ 
-            success: true, 
-            rulesCount: learnedRules.length 
-        });
+        res.json({ success: true, alias, canonical, aliasCount: merchantAliases.length });
     } catch (err) {
-        console.error('Learn rule error:', err);
+        console.error('Merchant alias error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Get all learned rules
-app.get('/api/quickbooks/rules', (req, res) => {
-    res.json({ rules: learnedRules });
-});
-
-// Delete a rule
-app.delete('/api/quickbooks/rules/:id', async (req, res) => {
+app.delete('/api/merchants/aliases/:alias', async (req, res) => {
     try {
-        const { id } = req.params;
-        learnedRules = learnedRules.filter(r => r.id !== id);
-        await saveRules();
+        const alias = cleanMerchantString(req.params.alias);
+        merchantAliases = merchantAliases.filter(a => a.alias !== alias);
+        await saveMerchantAliases(alias);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ========== MAIN DATA FETCH (with uncategorized detection) ==========
+// Try the normalizer: { names: ["POS PURCHASE 0412 TWILIO SENDGRID 877-xxx CA", ...] }
+app.post('/api/merchants/normalize', (req, res) => {
+    const names = Array.isArray(req.body.names) ? req.body.names : [req.body.name];
+    res.json({ results: names.filter(Boolean).map(normalizeMerchant) });
+});
 
-app.get('/api/quickbooks/data', async (req, res) => {
-    try {
-        if (!tokens.access_token) {
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
+// Spend by canonical merchant across Plaid and the last QuickBooks fetch
+app.get('/api/merchants/summary', (req, res) => {
+    const { start_date, end_date } = req.query;
+    const inRange = t => (!start_date || t.date >= start_date) && (!end_date || t.date <= end_date);
+    const merchants = {};
+    
+    const add = (merchant, source, amount, date) => {
+        if (!merchant) return;
+        const m = merchants[merchant] = merchants[merchant] || { merchant, display: normalizeMerchant(merchant).display, total: 0, count: 0, sources: {}, lastDate: null };
+        m.total += amount;
+        m.count++;
+        m.sources[source] = (m.sources[source] || 0) + 1;
+        if (!m.lastDate || date > m.lastDate) m.lastDate = date;
+    };
+    
+    getCategorizedPlaidTransactions().transactions
+        .filter(t => inRange(t) && !t.excludeFromPL && t.amount > 0)
+        .forEach(t => add(t.normalizedMerchant, 'plaid', t.amount, t.date));
+    
+    company().qbTransactionCache.transactions
+        .filter(t => inRange(t) && t.type === 'expense' && t.amount < 0)
+        .forEach(t => add(t.normalizedMerchant, 'quickbooks', Math.abs(t.amount), t.date));
+    
+    const list = Object.values(merchants).sort((a, b) => b.total - a.total);
+    res.json({ merchants: list, count: list.length });
+});
 
-        const data = await fetchFinancialData();
-        res.json(data);
-    } catch (err) {
-        console.error('Data fetch error:', err);
-        res.status(500).json({ error: err.message });
+// ========== RULE ENGINE ==========
+// Learned rules match on description + vendor and can be narrowed by amount
+// range, institution, Plaid account_id and direction. When several rules
+// match, the highest priority wins, then the most specific.
+
+const RULE_PATTERN_TYPES = ['exact', 'starts_with', 'contains', 'regex'];
+const PATTERN_TYPE_RANK = { exact: 3, starts_with: 2, regex: 1, contains: 0 };
+
+// Fill in defaults so rules saved before scoping existed keep working
+function normalizeRule(rule) {
+    return {
+        ...rule,
+        patternType: rule.patternType || 'contains',
+        amountMin: rule.amountMin ?? null,
+        amountMax: rule.amountMax ?? null,
+        institution: rule.institution || null,
+        accountId: rule.accountId || null,
+        direction: rule.direction || null,
+        priority: rule.priority ?? 0
+    };
+}
+
+// Validate the rule fields sent by a client. Returns an error message or null.
+function validateRule(rule) {
+    if (!rule.pattern || typeof rule.pattern !== 'string') {
+        return 'pattern is required';
     }
-});
+    if (!rule.categoryName || typeof rule.categoryName !== 'string') {
+        return 'categoryName is required';
+    }
+    if (!RULE_PATTERN_TYPES.includes(rule.patternType)) {
+        return `patternType must be one of ${RULE_PATTERN_TYPES.join(', ')}`;
+    }
+    if (rule.patternType === 'regex') {
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (err) {
+            return `Invalid regex: ${err.message}`;
+        }
+        const unsafe = unsafeRegexReason(rule.pattern);
+        if (unsafe) {
+            return `Unsafe regex: ${unsafe}`;
+        }
+    }
+    if (rule.direction && !['debit', 'credit'].includes(rule.direction)) {
+        return 'direction must be debit or credit';
+    }
+    for (const field of ['amountMin', 'amountMax', 'priority']) {
+        if (rule[field] != null && !Number.isFinite(Number(rule[field]))) {
+            return `${field} must be a number`;
+        }
+    }
+    if (rule.amountMin != null && rule.amountMax != null && Number(rule.amountMin) > Number(rule.amountMax)) {
+        return 'amountMin cannot be greater than amountMax';
+    }
+    return null;
+}
 
-app.post('/api/quickbooks/refresh', async (req, res) => {
-    try {
-        if (!tokens.access_token) {
-            return res.status(401).json({ error: 'Not authenticated' });
+const RULE_REGEX_MAX_LENGTH = 200;
+
+// A quantifier at pattern[index] that repeats more than once: *, + or {n,m}
+function isRepeatQuantifier(pattern, index) {
+    const char = pattern[index];
+    if (char === '*' || char === '+') return true;
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    return !!braces && (braces[2] ? braces[3] === '' || Number(braces[3]) > 1 : Number(braces[1]) > 1);
+}
+
+// Rule regexes run against every transaction on every load, on the one thread
+// serving every company. Refuse the shapes that can backtrack for ever -
+// backreferences, and a repeated group that repeats inside, like (a+)+.
+// Returns the reason, or null when the pattern is safe to run.
+function unsafeRegexReason(pattern) {
+    if (pattern.length > RULE_REGEX_MAX_LENGTH) {
+        return `longer than ${RULE_REGEX_MAX_LENGTH} characters`;
+    }
+    
+    // One entry per open group: whether it contains a repeat
+    const groups = [];
+    let inClass = false;
+    
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) {
+                return 'backreferences are not allowed';
+            }
+            i++;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const repeatsInside = groups.pop();
+            if (repeatsInside && isRepeatQuantifier(pattern, i + 1)) {
+                return 'nested quantifiers like (a+)+ are not allowed';
+            }
+            if (repeatsInside && groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        } else if (groups.length > 0 && isRepeatQuantifier(pattern, i)) {
+            groups[groups.length - 1] = true;
         }
+    }
+    
+    return null;
+}
 
-        const data = await fetchFinancialData();
-        res.json({ success: true, data });
-    } catch (err) {
-        console.error('Refresh error:', err);
-        res.status(500).json({ error: err.message });
+const compiledRuleRegexes = {};
+
+function ruleRegex(pattern) {
+    if (!compiledRuleRegexes[pattern]) {
+        // Rules saved before the checks in validateRule never run
+        const unsafe = unsafeRegexReason(pattern);
+        if (unsafe) {
+            throw new Error(`Unsafe regex: ${unsafe}`);
+        }
+        compiledRuleRegexes[pattern] = new RegExp(pattern, 'i');
     }
-});
+    return compiledRuleRegexes[pattern];
+}
 
-async function fetchFinancialData() {
-    const now = new Date();
-    const twoYearsAgo = new Date(now.getFullYear() - 2, 0, 1);
-    const endDate = now.toISOString().split('T')[0];
-    const startDate = twoYearsAgo.toISOString().split('T')[0];
+// Context for scoped rules. Plaid: positive amount = debit (money out).
+function plaidRuleContext(txn) {
+    return {
+        amount: txn.amount,
+        direction: txn.amount > 0 ? 'debit' : 'credit',
+        kind: txn.amount > 0 ? 'expense' : 'income',
+        institution: txn.institution,
+        accountId: txn.account_id
+    };
+}
 
-    console.log(`\n📊 Fetching QuickBooks data from ${startDate} to ${endDate}`);
+// QuickBooks rows from fetchFinancialData: negative amount = money out
+function qbRuleContext(txn) {
+    return {
+        amount: txn.amount,
+        direction: txn.amount < 0 ? 'debit' : 'credit',
+        kind: transactionKind(txn),
+        institution: txn.institution || null,
+        accountId: txn.account_id || null
+    };
+}
 
-    const plReport = await qbApiCall(
-        `/reports/ProfitAndLoss?start_date=${startDate}&end_date=${endDate}&summarize_column_by=Month`
-    );
+function patternMatches(rule, text) {
+    const pattern = rule.pattern.toLowerCase();
 
-    const dateFilter = `TxnDate >= '${startDate}' AND TxnDate <= '${endDate}'`;
-    
-    console.log('  → Fetching ALL Purchases (paginated)...');
-    const purchaseRecords = await fetchAllRecords('Purchase', dateFilter);
-    console.log(`     Found ${purchaseRecords.length} purchases`);
+    if (rule.patternType === 'exact') {
+        return text === pattern;
+    } else if (rule.patternType === 'starts_with') {
+        return text.startsWith(pattern);
+    } else if (rule.patternType === 'regex') {
+        try {
+            return ruleRegex(rule.pattern).test(text);
+        } catch (err) {
+            return false;
+        }
+    }
+    // Default: contains
+    return text.includes(pattern);
+}
 
-    console.log('  → Fetching ALL Bills (paginated)...');
-    const billRecords = await fetchAllRecords('Bill', dateFilter);
-    console.log(`     Found ${billRecords.length} bills`);
+// A rule matches the raw description + vendor or the canonical merchant name,
+// so "facebook" also catches "FACEBK *ADS 4821"
+function ruleMatches(rule, searchText, context) {
+    const matched = patternMatches(rule, searchText) ||
+        (!!context.merchant && patternMatches(rule, context.merchant));
 
-    console.log('  → Fetching ALL Journal Entries (paginated)...');
-    const journalEntryRecords = await fetchAllRecords('JournalEntry', dateFilter);
-    console.log(`     Found ${journalEntryRecords.length} journal entries`);
+    if (!matched) return false;
 
-    console.log('  → Fetching ALL Vendor Credits (paginated)...');
-    const vendorCreditRecords = await fetchAllRecords('VendorCredit', dateFilter);
-    console.log(`     Found ${vendorCreditRecords.length} vendor credits`);
+    const amount = context.amount != null ? Math.abs(context.amount) : null;
+    if (rule.amountMin != null && (amount == null || amount < rule.amountMin)) return false;
+    if (rule.amountMax != null && (amount == null || amount > rule.amountMax)) return false;
+    if (rule.direction && context.direction !== rule.direction) return false;
+    if (rule.accountId && context.accountId !== rule.accountId) return false;
+    if (rule.institution && (context.institution || '').toLowerCase() !== rule.institution.toLowerCase()) return false;
 
-    console.log('  → Fetching ALL Sales Receipts (paginated)...');
-    const salesReceiptRecords = await fetchAllRecords('SalesReceipt', dateFilter);
-    console.log(`     Found ${salesReceiptRecords.length} sales receipts`);
+    // Revenue rules only categorize money in, expense rules money out
+    const kind = ruleKind(rule);
+    if (kind && context.kind && kind !== context.kind) return false;
 
-    console.log('  → Fetching ALL Payments (paginated)...');
-    const paymentRecords = await fetchAllRecords('Payment', dateFilter);
-    console.log(`     Found ${paymentRecords.length} payments`);
+    return true;
+}
 
-    console.log('  → Fetching ALL Deposits (paginated)...');
-    const depositRecords = await fetchAllRecords('Deposit', dateFilter);
-    console.log(`     Found ${depositRecords.length} deposits`);
+// 'income', 'expense' or null (either) from the rule's type or its QuickBooks account
+function ruleKind(rule) {
+    if (rule.transactionType === 'income') return 'income';
+    if (rule.transactionType === 'expense' || rule.transactionType === 'cogs') return 'expense';
+    if (rule.transactionType === 'transfer') return null;
+    return company().categoryCache.categories.find(c => c.id === rule.categoryId)?.kind || null;
+}
 
-    console.log('  → Fetching ALL Refund Receipts (paginated)...');
-    const refundReceiptRecords = await fetchAllRecords('RefundReceipt', dateFilter);
-    console.log(`     Found ${refundReceiptRecords.length} refund receipts`);
+// How narrowly a rule is scoped - used to break priority ties
+function ruleSpecificity(rule) {
+    let score = PATTERN_TYPE_RANK[rule.patternType] || 0;
+    if (rule.amountMin != null || rule.amountMax != null) score += 4;
+    if (rule.direction) score += 4;
+    if (rule.institution) score += 8;
+    if (rule.accountId) score += 16;
+    return score;
+}
 
-    console.log('  → Fetching Accounts...');
-    const accountRecords = await fetchAllRecords('Account');
+function compareRules(a, b) {
+    return (b.priority - a.priority) ||
+        (ruleSpecificity(b) - ruleSpecificity(a)) ||
+        (b.pattern.length - a.pattern.length);
+}
 
-    console.log('  → Fetching Vendors...');
-    const vendorRecords = await fetchAllRecords('Vendor');
+// All rules matching a transaction, best first
+function findMatchingRules(description, vendorName, context = {}, rules = company().learnedRules) {
+    const searchText = `${description || ''} ${vendorName || ''}`.toLowerCase();
+    const ruleContext = { ...context, merchant: transactionMerchant(description, vendorName) };
 
-    // Build lookup maps
-    const vendorMap = {};
-    vendorRecords.forEach(v => {
-        vendorMap[v.Id] = v.DisplayName || v.CompanyName || 'Unknown Vendor';
-    });
+    return rules
+        .filter(rule => ruleMatches(rule, searchText, ruleContext))
+        .sort(compareRules);
+}
 
-    const accountMap = {};
-    accountRecords.forEach(a => {
-        accountMap[a.Id] = {
-            name: a.Name,
-            type: a.AccountType,
-            subType: a.AccountSubType,
-            fullName: a.FullyQualifiedName || a.Name
-        };
-    });
+function findMatchingRule(description, vendorName, context = {}) {
+    const matches = findMatchingRules(description, vendorName, context);
+    if (matches.length === 0) {
+        return null;
+    }
 
-    // Track uncategorized transactions
-    const uncategorizedKeywords = ['uncategorized', 'ask my accountant', 'undeposited'];
-    const isUncategorized = (categoryName) => {
-        if (!categoryName) return true;
-        const lower = categoryName.toLowerCase();
-        return uncategorizedKeywords.some(kw => lower.includes(kw));
+    const [rule, ...others] = matches;
+    const conflicts = others
+        .filter(r => r.categoryId !== rule.categoryId || r.categoryName !== rule.categoryName)
+        .map(r => ({
+            ruleId: r.id,
+            pattern: r.pattern,
+            categoryName: r.categoryName,
+            priority: r.priority,
+            tied: r.priority === rule.priority && ruleSpecificity(r) === ruleSpecificity(rule)
+        }));
+
+    return {
+        categoryId: rule.categoryId,
+        categoryName: rule.categoryName,
+        confidence: rule.confidence || 1.0,
+        source: 'learned_rule',
+        ruleId: rule.id,
+        conflicts,
+        // Equal priority and specificity with a different category - nothing decides between them
+        ambiguous: conflicts.some(c => c.tied)
     };
+}
 
-    const transactions = [];
-    const needsReview = [];
+// ========== BUILT-IN CATEGORIZATION RULES ==========
+// High-confidence patterns from the playbook. Matched as whole words against
+// the lowercased description + merchant ("adp" never matches "headphones");
+// `all` requires every listed term to be present.
+
+const AUTO_APPROVE_CONFIDENCE = 0.95;
+
+const BUILT_IN_RULES = [
+    // Transfers - internal money movement, excluded from P&L
+    { id: 'builtin-transfer-card-payment', any: ['payment thank you', 'online payment - thank you', 'chase credit crd epay', 'american express ach pmt', 'amex epay'], category: 'Transfer', type: 'transfer', confidence: 0.98 },
+
+    // Payroll
+    { id: 'builtin-payroll-paychex', any: ['paychex'], category: 'Payroll', type: 'expense', confidence: 0.97 },
+    { id: 'builtin-payroll-overseas', any: ['wise inc', 'wise us inc', 'trnwise', 'xoom debit', 'remitly inc', 'remittance'], category: 'Payroll', type: 'expense', confidence: 0.95 },
+    { id: 'builtin-payroll-providers', any: ['gusto', 'adp'], category: 'Payroll', type: 'expense', confidence: 0.95 },
+
+    // Merchant processing fees (COGS)
+    { id: 'builtin-merchant-fees', any: ['ems merch disc', 'ems dly fees', 'signapay', 'pci fees'], category: 'Merchant Processing Fees', type: 'cogs', confidence: 0.97 },
+
+    // Affiliate payouts
+    { id: 'builtin-affiliate-wf', all: ['wf direct pay', 'affiliate'], category: 'Affiliate Payouts', type: 'expense', confidence: 0.95 },
+    { id: 'builtin-affiliate-payout', any: ['affiliate payout'], category: 'Affiliate Payouts', type: 'expense', confidence: 0.96 },
+
+    // Software / services
+    { id: 'builtin-godaddy', any: ['godaddy', 'go daddy'], category: 'Domain & Email Services', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-instantly', any: ['instantly'], category: 'Sales Software', type: 'expense', confidence: 0.95 },
+    { id: 'builtin-smartlead', any: ['smartlead'], category: 'Email Marketing Software', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-twilio', any: ['twilio', 'sendgrid'], category: 'Communication/Email Services', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-zapier', any: ['zapier'], category: 'Automation Services', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-zoho', any: ['zoho'], category: 'Invoicing Software', type: 'expense', confidence: 0.95 },
+    { id: 'builtin-insightful', any: ['insightful'], category: 'Employee Monitoring', type: 'expense', confidence: 0.95 },
+    { id: 'builtin-pipedrive', any: ['pipedrive'], category: 'CRM Software', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-cognito', any: ['cognito'], category: 'Web Forms', type: 'expense', confidence: 0.95 },
+    { id: 'builtin-railway', any: ['railway'], category: 'Cloud Hosting', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-readyrefresh', any: ['readyrefresh'], category: 'Water Service', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-ringcentral', any: ['ringcentral'], category: 'Phone Service', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-facebook', any: ['facebk', 'facebook'], category: 'Advertising - Facebook', type: 'expense', confidence: 0.96 },
+    { id: 'builtin-credit-reports', any: ['identityiq', 'smart credit'], category: 'Credit Reports', type: 'cogs', confidence: 0.96 },
+
+    // Revenue - chargebacks and refunds reduce income rather than adding expenses
+    { id: 'builtin-chargeback', any: ['chargeback', 'chargebk', 'chg back', 'dispute debit'], direction: 'debit', category: 'Chargebacks', type: 'income', confidence: 0.96 },
+    { id: 'builtin-chargeback-reversal', any: ['chargeback reversal', 'chargeback rev', 'dispute credit'], direction: 'credit', category: 'Chargebacks', type: 'income', confidence: 0.96 },
+    { id: 'builtin-affiliate-income', any: ['affiliate comm', 'commission pmt', 'impact radius', 'impact.com', 'shareasale', 'cj affiliate', 'partnerstack'], direction: 'credit', category: 'Affiliate Income', type: 'income', confidence: 0.95 }
+];
+
+// Merchants that are too ambiguous to categorize automatically
+const REVIEW_PATTERNS = [
+    { any: ['amazon'], reason: 'Amazon purchases can be office supplies, personal or anything else' },
+    { any: ['google services'], reason: 'Google charges can be ads, cloud or other services' },
+    { any: ['check #', 'check no', 'check '], reason: 'Checks can be refunds, payments or anything else' }
+];
+
+const builtInTermRegexes = new Map();
+
+// Word boundaries only where the term starts or ends with a letter or digit,
+// so "check " and "impact.com" still match as written
+function containsTerm(searchText, term) {
+    let regex = builtInTermRegexes.get(term);
+    if (!regex) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        regex = new RegExp(`${/^\w/.test(term) ? '\\b' : ''}${escaped}${/\w$/.test(term) ? '\\b' : ''}`);
+        builtInTermRegexes.set(term, regex);
+    }
+    return regex.test(searchText);
+}
 
-    // Process Purchases
-    purchaseRecords.forEach(p => {
-        const vendorName = p.EntityRef?.name || vendorMap[p.EntityRef?.value] || '';
-        const memo = p.PrivateNote || '';
-        const paymentType = p.PaymentType || 'Unknown';
-        
+function matchesBuiltIn(rule, searchText, direction = null) {
+    if (rule.direction && direction && rule.direction !== direction) return false;
+    if (rule.all && !rule.all.every(term => containsTerm(searchText, term))) return false;
+    if (rule.any && !rule.any.some(term => containsTerm(searchText, term))) return false;
+    return true;
+}
+
+// Work out expense/income/cogs/transfer for a learned rule's category
+function transactionTypeForCategory(categoryId, categoryName, amount) {
+    const cached = company().categoryCache.categories.find(c => c.id === categoryId);
+    if (cached?.type === 'Cost of Goods Sold') return 'cogs';
+    if (cached?.kind === 'income') return 'income';
+    if (/transfer/i.test(categoryName || '')) return 'transfer';
+    // Plaid sign: positive = money out
+    return amount > 0 ? 'expense' : 'income';
+}
+
+// Enrich a Plaid transaction with our own category. Learned rules win, then
+// the built-in playbook rules; anything else goes to Needs Review.
+function categorizePlaidTransaction(plaidTxn) {
+    const description = plaidTxn.description || '';
+    const merchant = plaidTxn.merchant_name || '';
+    const normalizedMerchant = transactionMerchant(description, merchant);
+    const txn = { ...plaidTxn, normalizedMerchant };
+
+    const ruleMatch = findMatchingRule(description, merchant, plaidRuleContext(txn));
+    if (ruleMatch) {
+        return {
+            ...txn,
+            smartCategory: ruleMatch.categoryName,
+            smartCategoryId: ruleMatch.categoryId || null,
+            smartType: transactionTypeForCategory(ruleMatch.categoryId, ruleMatch.categoryName, txn.amount),
+            confidence: ruleMatch.confidence,
+            needsReview: ruleMatch.confidence < AUTO_APPROVE_CONFIDENCE || ruleMatch.ambiguous,
+            categorySource: 'learned_rule',
+            ruleId: ruleMatch.ruleId,
+            ruleConflicts: ruleMatch.conflicts.length > 0 ? ruleMatch.conflicts : undefined
+        };
+    }
+
+    const searchText = `${description} ${merchant} ${normalizedMerchant}`.toLowerCase();
+
+    const direction = txn.amount > 0 ? 'debit' : 'credit';
+    const builtIn = BUILT_IN_RULES.find(rule => matchesBuiltIn(rule, searchText, direction));
+    if (builtIn) {
+        return {
+            ...txn,
+            smartCategory: builtIn.category,
+            smartCategoryId: null,
+            smartType: builtIn.type,
+            confidence: builtIn.confidence,
+            needsReview: builtIn.confidence < AUTO_APPROVE_CONFIDENCE,
+            categorySource: 'builtin_rule',
+            ruleId: builtIn.id
+        };
+    }
+
+    const review = REVIEW_PATTERNS.find(rule => matchesBuiltIn(rule, searchText));
+
+    return {
+        ...txn,
+        smartCategory: 'Uncategorized',
+        smartCategoryId: null,
+        smartType: txn.amount > 0 ? 'expense' : 'income',
+        confidence: 0,
+        needsReview: true,
+        categorySource: null,
+        ruleId: null,
+        reviewReason: review ? review.reason : 'No matching rule'
+    };
+}
+
+// ========== STATISTICAL CATEGORIZER ==========
+// Naive Bayes over description/vendor tokens plus amount band and direction,
+// trained on transactions already categorized in QuickBooks and on learned
+// rules. Sits between the learned rules and the Claude call, and keeps
+// suggestions coming when the AI is unavailable. Trained on the first
+// QuickBooks fetch when no saved model is found.
+
+const STATISTICAL_MODEL_FILE = './statistical_model.json';
+const STATISTICAL_ACCEPT_CONFIDENCE = 0.85; // skip the AI call above this
+const STATISTICAL_MIN_CONFIDENCE = 0.5; // never suggest below this
+const STATISTICAL_HOLDOUT_RATIO = 0.2;
+const RULE_TRAINING_WEIGHT = 3;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'inc', 'llc', 'com', 'www', 'pos', 'purchase', 'debit', 'card', 'payment', 'ach', 'online', 'from', 'to']);
+
+function tokenizeTransaction(description, vendor, amount, kind = null) {
+    const merchant = transactionMerchant(description, vendor);
+    const words = `${description || ''} ${vendor || ''}`
+        .toLowerCase()
+        .replace(/[^a-z ]+/g, ' ')
+        .split(/\s+/)
+        .filter(w => w.length >= 2 && !STOP_WORDS.has(w));
+
+    const tokens = [...new Set(words)];
+    if (merchant) {
+        tokens.push(`__merchant_${merchant}`);
+    }
+    if (amount != null) {
+        tokens.push(`__amount_${amountBand(amount)}`);
+    }
+    if (kind) {
+        tokens.push(`__kind_${kind}`);
+    }
+    return tokens;
+}
+
+// Deterministic split so accuracy reports are comparable between runs
+function isHoldout(id) {
+    const hash = crypto.createHash('md5').update(String(id)).digest();
+    return hash[0] / 256 < STATISTICAL_HOLDOUT_RATIO;
+}
+
+// Categorized QuickBooks expense lines and learned rules as training examples
+function buildTrainingExamples() {
+    const examples = [];
+    
+    company().qbTransactionCache.transactions
+        .filter(t => !t.needsReview && t.category &&
+            ((t.type === 'expense' && t.amount < 0) || t.type === 'income'))
+        .forEach(t => {
+            examples.push({
+                id: t.id,
+                tokens: tokenizeTransaction(t.description, t.vendor, t.amount, t.type),
+                categoryId: t.categoryId || null,
+                categoryName: t.category,
+                weight: 1
+            });
+        });
+    
+    company().learnedRules
+        .filter(r => r.patternType !== 'regex' && r.categoryName)
+        .forEach(r => {
+            examples.push({
+                id: r.id,
+                tokens: tokenizeTransaction(r.pattern, '', null, ruleKind(r)),
+                categoryId: r.categoryId || null,
+                categoryName: r.categoryName,
+                weight: RULE_TRAINING_WEIGHT,
+                fromRule: true
+            });
+        });
+    
+    return examples.filter(e => e.tokens.length > 0);
+}
+
+function trainNaiveBayes(examples) {
+    const classes = {};
+    const vocabulary = new Set();
+    let totalDocs = 0;
+    
+    examples.forEach(example => {
+        const key = example.categoryName;
+        if (!classes[key]) {
+            classes[key] = { categoryId: example.categoryId, categoryName: example.categoryName, docCount: 0, tokenCounts: {}, totalTokens: 0 };
+        }
+        const cls = classes[key];
+        cls.categoryId = cls.categoryId || example.categoryId;
+        cls.docCount += example.weight;
+        totalDocs += example.weight;
+        
+        example.tokens.forEach(token => {
+            vocabulary.add(token);
+            cls.tokenCounts[token] = (cls.tokenCounts[token] || 0) + example.weight;
+            cls.totalTokens += example.weight;
+        });
+    });
+    
+    return {
+        classes,
+        vocabularySize: vocabulary.size,
+        totalDocs,
+        exampleCount: examples.length,
+        trainedAt: new Date().toISOString()
+    };
+}
+
+// Returns { categoryId, categoryName, confidence, matchedTokens } or null
+function predictNaiveBayes(model, tokens) {
+    if (!model || model.totalDocs === 0 || tokens.length === 0) {
+        return null;
+    }
+    
+    // Ignore tokens the model has never seen - they carry no signal
+    const known = tokens.filter(token =>
+        Object.values(model.classes).some(cls => cls.tokenCounts[token])
+    );
+    if (known.filter(t => !t.startsWith('__')).length === 0) {
+        return null;
+    }
+    
+    const scores = Object.values(model.classes).map(cls => {
+        let score = Math.log(cls.docCount / model.totalDocs);
+        known.forEach(token => {
+            score += Math.log(((cls.tokenCounts[token] || 0) + 1) / (cls.totalTokens + model.vocabularySize));
+        });
+        return { cls, score };
+    });
+    
+    // Softmax over log scores for a probability-like confidence
+    const maxScore = Math.max(...scores.map(s => s.score));
+    const total = scores.reduce((sum, s) => sum + Math.exp(s.score - maxScore), 0);
+    scores.sort((a, b) => b.score - a.score);
+    const best = scores[0];
+    
+    return {
+        categoryId: best.cls.categoryId,
+        categoryName: best.cls.categoryName,
+        confidence: Math.exp(best.score - maxScore) / total,
+        matchedTokens: known.filter(t => best.cls.tokenCounts[t])
+    };
+}
+
+function statisticalSuggestion(transaction) {
+    const prediction = predictNaiveBayes(
+        company().statisticalModel,
+        tokenizeTransaction(transaction.description, transaction.vendor || transaction.merchant_name, transaction.amount, transactionKind(transaction))
+    );
+    
+    if (!prediction || prediction.confidence < STATISTICAL_MIN_CONFIDENCE) {
+        return null;
+    }
+    
+    // Never put money in under an expense account or the other way round
+    const predictedKind = company().categoryCache.categories.find(c => c.id === prediction.categoryId)?.kind;
+    if (predictedKind && predictedKind !== transactionKind(transaction)) {
+        return null;
+    }
+    
+    return {
+        categoryId: prediction.categoryId,
+        categoryName: prediction.categoryName,
+        confidence: Math.round(prediction.confidence * 1000) / 1000,
+        reasoning: `Similar to past ${prediction.categoryName} transactions (${prediction.matchedTokens.filter(t => !t.startsWith('__')).join(', ')})`,
+        source: 'statistical'
+    };
+}
+
+// Train on everything except the holdout, score the holdout, then train the
+// served model on the full set
+function retrainStatisticalModel() {
+    const examples = buildTrainingExamples();
+    const training = examples.filter(e => e.fromRule || !isHoldout(e.id));
+    const holdout = examples.filter(e => !e.fromRule && isHoldout(e.id));
+    
+    const evalModel = trainNaiveBayes(training);
+    const perCategory = {};
+    let correct = 0;
+    let confident = 0;
+    let confidentCorrect = 0;
+    
+    holdout.forEach(example => {
+        const prediction = predictNaiveBayes(evalModel, example.tokens);
+        const predicted = prediction?.categoryName || null;
+        const isCorrect = predicted === example.categoryName;
+        
+        const actualStats = perCategory[example.categoryName] = perCategory[example.categoryName] || { category: example.categoryName, actual: 0, predicted: 0, correct: 0 };
+        actualStats.actual++;
+        if (predicted) {
+            const predictedStats = perCategory[predicted] = perCategory[predicted] || { category: predicted, actual: 0, predicted: 0, correct: 0 };
+            predictedStats.predicted++;
+        }
+        if (isCorrect) {
+            correct++;
+            actualStats.correct++;
+        }
+        if (prediction && prediction.confidence >= STATISTICAL_ACCEPT_CONFIDENCE) {
+            confident++;
+            if (isCorrect) confidentCorrect++;
+        }
+    });
+    
+    company().statisticalModel = trainNaiveBayes(examples);
+    company().statisticalReport = {
+        trainedAt: company().statisticalModel.trainedAt,
+        trainingExamples: training.length,
+        holdoutExamples: holdout.length,
+        categories: Object.keys(company().statisticalModel.classes).length,
+        accuracy: holdout.length ? correct / holdout.length : null,
+        // How often we'd skip the AI call, and how often that's right
+        acceptThreshold: STATISTICAL_ACCEPT_CONFIDENCE,
+        coverageAtThreshold: holdout.length ? confident / holdout.length : null,
+        accuracyAtThreshold: confident ? confidentCorrect / confident : null,
+        perCategory: Object.values(perCategory)
+            .map(c => ({
+                ...c,
+                precision: c.predicted ? c.correct / c.predicted : null,
+                recall: c.actual ? c.correct / c.actual : null
+            }))
+            .sort((a, b) => b.actual - a.actual)
+    };
+    
+    try {
+        fs.writeFileSync(companyFile(STATISTICAL_MODEL_FILE), JSON.stringify({ model: company().statisticalModel, report: company().statisticalReport }));
+    } catch (err) {
+        console.error('Error saving statistical model:', err);
+    }
+    
+    console.log(`✓ Statistical categorizer trained on ${examples.length} examples (holdout accuracy: ${company().statisticalReport.accuracy != null ? (company().statisticalReport.accuracy * 100).toFixed(1) + '%' : 'n/a'})`);
+    return company().statisticalReport;
+}
+
+async function loadStatisticalModel() {
+    try {
+        if (fs.existsSync(companyFile(STATISTICAL_MODEL_FILE))) {
+            const data = JSON.parse(fs.readFileSync(companyFile(STATISTICAL_MODEL_FILE), 'utf8'));
+            company().statisticalModel = data.model;
+            company().statisticalReport = data.report;
+            console.log(`✓ Loaded statistical categorizer (${company().statisticalModel.exampleCount} examples)`);
+        }
+    } catch (err) {
+        console.log('No statistical model found');
+    }
+}
+
+// ========== AI CATEGORIZATION ==========
+
+// What the AI is told about each side of the P&L
+const AI_KIND_PROMPTS = {
+    expense: { noun: 'expense', guidance: '' },
+    income: {
+        noun: 'income (revenue)',
+        guidance: '\nThis is a credit repair business. Revenue is usually setup fees, monthly subscriptions or affiliate income; refunds and chargebacks reduce revenue.\n'
+    }
+};
+
+async function aiCategorize(transaction, categories, kind = 'expense') {
+    if (!anthropic) {
+        return null;
+    }
+    
+    const categoryList = categories.map(c => `- ${c.name} (ID: ${c.id})`).join('\n');
+    const { noun, guidance } = AI_KIND_PROMPTS[kind];
+    
+    const prompt = `You are a bookkeeper categorizing a business ${noun} transaction.
+${guidance}
+Transaction details:
+- Description: ${transaction.description}
+- Vendor: ${transaction.vendor || 'Unknown'}
+- Merchant (normalized): ${normalizeMerchant(transaction.vendor || transaction.description).display || 'Unknown'}
+- Amount: $${Math.abs(transaction.amount).toFixed(2)}
+- Date: ${transaction.date}
+
+Available ${noun} categories:
+${categoryList}
+
+Based on the transaction description and vendor, which category best fits this ${kind}?
+
+Respond in JSON format only:
+{
+    "categoryId": "the ID of the best matching category",
+    "categoryName": "the name of the category",
+    "confidence": 0.0 to 1.0 (how confident you are),
+    "reasoning": "brief explanation of why you chose this category"
+}
+
+If you cannot determine a category with at least 50% confidence, respond:
+{
+    "categoryId": null,
+    "categoryName": null,
+    "confidence": 0,
+    "reasoning": "explanation of why it's unclear"
+}`;
+
+    try {
+        const response = await anthropic.messages.create({
+            model: AI_MODEL,
+            max_tokens: 500,
+            messages: [{ role: 'user', content: prompt }]
+        });
+        
+        const content = response.content[0].text;
+        // Extract JSON from response
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            const result = JSON.parse(jsonMatch[0]);
+            return {
+                ...result,
+                source: 'ai',
+                model: AI_MODEL
+            };
+        }
+    } catch (err) {
+        console.error('AI categorization error:', err);
+    }
+    
+    return null;
+}
+
+// ========== BATCHED AI CATEGORIZATION ==========
+// Many transactions per prompt, a few prompts in flight at once, and results
+// cached by merchant + amount band so repeat vendors never hit the model twice.
+
+const AI_BATCH_SIZE = 20;
+const AI_BATCH_CONCURRENCY = 3;
+const AI_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+const AI_BATCH_JOB_THRESHOLD = 50;
+
+// Lowercased merchant text with digits, punctuation and extra spaces removed
+function aiMerchantKey(transaction) {
+    return transactionMerchant(transaction.description, transaction.vendor || transaction.merchant_name);
+}
+
+function amountBand(amount) {
+    const value = Math.abs(amount || 0);
+    const bands = [10, 50, 100, 500, 1000, 5000, 25000];
+    const band = bands.find(limit => value < limit);
+    return band ? `<${band}` : `>=${bands[bands.length - 1]}`;
+}
+
+function aiCacheKey(transaction) {
+    return `${aiMerchantKey(transaction)}|${transactionKind(transaction)}|${amountBand(transaction.amount)}`;
+}
+
+function getCachedAiSuggestion(transaction) {
+    const entry = company().aiSuggestionCache[aiCacheKey(transaction)];
+    if (!entry || Date.now() - entry.cachedAt > AI_CACHE_TTL) {
+        return null;
+    }
+    // Drop suggestions for categories that no longer exist in QuickBooks
+    if (entry.suggestion.categoryId && company().categoryCache.categories.length &&
+        !company().categoryCache.categories.some(c => c.id === entry.suggestion.categoryId)) {
+        return null;
+    }
+    return { ...entry.suggestion, cached: true };
+}
+
+function cacheAiSuggestion(transaction, suggestion) {
+    if (!suggestion || !suggestion.categoryId) return;
+    company().aiSuggestionCache[aiCacheKey(transaction)] = { suggestion, cachedAt: Date.now() };
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Categorize several transactions in one prompt. Returns suggestions in input order.
+async function aiCategorizeBatch(transactions, categories, kind = 'expense') {
+    if (!anthropic || transactions.length === 0) {
+        return transactions.map(() => null);
+    }
+    
+    const { noun, guidance } = AI_KIND_PROMPTS[kind];
+    const categoryList = categories.map(c => `- ${c.name} (ID: ${c.id})`).join('\n');
+    const transactionList = transactions.map((t, index) =>
+        `${index}. Description: ${t.description} | Vendor: ${t.vendor || 'Unknown'} | Merchant: ${normalizeMerchant(t.vendor || t.description).display || 'Unknown'} | Amount: $${Math.abs(t.amount).toFixed(2)} | Date: ${t.date}`
+    ).join('\n');
+    
+    const prompt = `You are a bookkeeper categorizing business ${noun} transactions.
+${guidance}
+Transactions:
+${transactionList}
+
+Available ${noun} categories:
+${categoryList}
+
+For each transaction, pick the category that best fits based on the description and vendor.
+
+Respond with a JSON array only, one entry per transaction:
+[
+    {
+        "index": the transaction number above,
+        "categoryId": "the ID of the best matching category",
+        "categoryName": "the name of the category",
+        "confidence": 0.0 to 1.0 (how confident you are),
+        "reasoning": "brief explanation of why you chose this category"
+    }
+]
+
+If you cannot determine a category with at least 50% confidence, use null for categoryId and categoryName and 0 for confidence.`;
+
+    try {
+        const response = await anthropic.messages.create({
+            model: AI_MODEL,
+            max_tokens: 200 + transactions.length * 150,
+            messages: [{ role: 'user', content: prompt }]
+        });
+        
+        const content = response.content[0].text;
+        const jsonMatch = content.match(/\[[\s\S]*\]/);
+        if (jsonMatch) {
+            const parsed = JSON.parse(jsonMatch[0]);
+            return transactions.map((t, index) => {
+                const result = parsed.find(r => Number(r.index) === index);
+                if (!result) return null;
+                const { index: _index, ...suggestion } = result;
+                return { ...suggestion, source: 'ai', model: AI_MODEL };
+            });
+        }
+    } catch (err) {
+        console.error('AI batch categorization error:', err);
+    }
+    
+    return transactions.map(() => null);
+}
+
+// Categorize a list of transactions: learned rules, then cached AI answers, then
+// batched AI calls. onResults receives each group of results as it completes.
+async function categorizeTransactions(transactions, onResults = () => {}) {
+    if (!company().categoryCache.categories.length) {
+        await fetchAndCacheCategories();
+    }
+    
+    const immediate = [];
+    const pendingByKey = {};
+    
+    // Hand each group of results to the caller and record them in the audit log
+    const transactionsById = {};
+    transactions.forEach(t => {
+        transactionsById[t.id] = t;
+    });
+    const emit = async group => {
+        onResults(group);
+        await logCategorizations(group
+            .filter(r => r.suggestion)
+            .map(r => suggestionLogEntry(transactionsById[r.transactionId], r.suggestion)));
+    };
+    
+    for (const txn of transactions) {
+        // Check learned rules first
+        const ruleMatch = findMatchingRule(txn.description, txn.vendor, qbRuleContext(txn));
+        
+        if (ruleMatch && ruleMatch.confidence >= AUTO_APPROVE_CONFIDENCE && !ruleMatch.ambiguous) {
+            immediate.push({ transactionId: txn.id, suggestion: ruleMatch, autoApproved: true });
+            continue;
+        }
+        
+        // Then our own history - confident matches don't need the AI
+        const statistical = statisticalSuggestion(txn);
+        if (statistical && statistical.confidence >= STATISTICAL_ACCEPT_CONFIDENCE) {
+            immediate.push({ transactionId: txn.id, suggestion: statistical, autoApproved: false });
+            continue;
+        }
+        
+        const cached = getCachedAiSuggestion(txn);
+        if (cached) {
+            immediate.push({ transactionId: txn.id, suggestion: cached, autoApproved: false });
+            continue;
+        }
+        
+        // Same merchant in the same amount band only needs asking once
+        const key = aiCacheKey(txn);
+        pendingByKey[key] = pendingByKey[key] || { representative: txn, transactions: [], fallbacks: {} };
+        pendingByKey[key].transactions.push(txn);
+        pendingByKey[key].fallbacks[txn.id] = statistical || ruleMatch;
+    }
+    
+    const results = [...immediate];
+    if (immediate.length > 0) {
+        await emit(immediate);
+    }
+    
+    // Expense and income go in separate prompts with their own category lists
+    const chunks = [];
+    ['expense', 'income'].forEach(kind => {
+        const groups = Object.values(pendingByKey).filter(g => transactionKind(g.representative) === kind);
+        for (let i = 0; i < groups.length; i += AI_BATCH_SIZE) {
+            chunks.push({ kind, groups: groups.slice(i, i + AI_BATCH_SIZE) });
+        }
+    });
+    
+    await mapWithConcurrency(chunks, AI_BATCH_CONCURRENCY, async ({ kind, groups: chunk }) => {
+        const suggestions = await aiCategorizeBatch(chunk.map(g => g.representative), categoriesForKind(kind), kind);
+        const chunkResults = [];
+        
+        chunk.forEach((group, index) => {
+            const suggestion = suggestions[index];
+            cacheAiSuggestion(group.representative, suggestion);
+            
+            group.transactions.forEach(txn => {
+                chunkResults.push({
+                    transactionId: txn.id,
+                    suggestion: suggestion || group.fallbacks[txn.id],
+                    autoApproved: false
+                });
+            });
+        });
+        
+        results.push(...chunkResults);
+        await emit(chunkResults);
+    });
+    
+    return results;
+}
+
+// Large batches run in the background and are polled by job id
+const categorizationJobs = {};
+
+function startCategorizationJob(transactions) {
+    const job = {
+        id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        status: 'running',
+        total: transactions.length,
+        completed: 0,
+        results: [],
+        error: null,
+        companyId: company().id,
+        createdAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    categorizationJobs[job.id] = job;
+    
+    categorizeTransactions(transactions, partial => {
+        job.results.push(...partial);
+        job.completed = job.results.length;
+    })
+        .then(() => {
+            job.status = 'completed';
+        })
+        .catch(err => {
+            console.error('Categorization job error:', err);
+            job.status = 'failed';
+            job.error = err.message;
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+        });
+    
+    // Forget finished jobs after an hour
+    for (const [id, old] of Object.entries(categorizationJobs)) {
+        if (old.finishedAt && Date.now() - new Date(old.finishedAt).getTime() > 3600000) {
+            delete categorizationJobs[id];
+        }
+    }
+    
+    return job;
+}
+
+// Endpoint to categorize a single transaction
+app.post('/api/quickbooks/categorize', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const { transaction } = req.body;
+        
+        // First check learned rules
+        const ruleMatch = findMatchingRule(transaction.description, transaction.vendor, qbRuleContext(transaction));
+        if (ruleMatch && ruleMatch.confidence >= AUTO_APPROVE_CONFIDENCE && !ruleMatch.ambiguous) {
+            await logCategorizations([suggestionLogEntry(transaction, ruleMatch)]);
+            return res.json({
+                suggestion: ruleMatch,
+                autoApproved: true
+            });
+        }
+        
+        // Then the statistical model trained on our own history
+        const statistical = statisticalSuggestion(transaction);
+        if (statistical && statistical.confidence >= STATISTICAL_ACCEPT_CONFIDENCE) {
+            await logCategorizations([suggestionLogEntry(transaction, statistical)]);
+            return res.json({
+                suggestion: statistical,
+                autoApproved: false
+            });
+        }
+        
+        // Fall back to AI
+        if (!company().categoryCache.categories.length) {
+            await fetchAndCacheCategories();
+        }
+        
+        let aiResult = getCachedAiSuggestion(transaction);
+        if (!aiResult) {
+            const kind = transactionKind(transaction);
+            aiResult = await aiCategorize(transaction, categoriesForKind(kind), kind);
+            cacheAiSuggestion(transaction, aiResult);
+        }
+        
+        const suggestion = aiResult || statistical || ruleMatch;
+        if (suggestion) {
+            await logCategorizations([suggestionLogEntry(transaction, suggestion)]);
+        }
+        
+        res.json({
+            suggestion,
+            autoApproved: false
+        });
+    } catch (err) {
+        console.error('Categorization error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Batch categorize multiple transactions. Large batches (or async: true) return
+// a job id to poll; ?stream=true streams results as NDJSON as they complete.
+app.post('/api/quickbooks/categorize-batch', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const { transactions = [] } = req.body;
+        const runAsJob = req.body.async === true || transactions.length > AI_BATCH_JOB_THRESHOLD;
+        
+        if (runAsJob && req.query.stream !== 'true') {
+            const job = startCategorizationJob(transactions);
+            return res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                total: job.total,
+                statusUrl: `/api/quickbooks/categorize-batch/${job.id}`
+            });
+        }
+        
+        if (req.query.stream === 'true') {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            await categorizeTransactions(transactions, partial => {
+                partial.forEach(result => res.write(JSON.stringify(result) + '\n'));
+            });
+            return res.end();
+        }
+        
+        const results = await categorizeTransactions(transactions);
+        
+        res.json({ results });
+    } catch (err) {
+        console.error('Batch categorization error:', err);
+        if (res.headersSent) {
+            return res.end(JSON.stringify({ error: err.message }) + '\n');
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Poll a background categorization job
+app.get('/api/quickbooks/categorize-batch/:jobId', (req, res) => {
+    const job = categorizationJobs[req.params.jobId];
+    if (!job || job.companyId !== company().id) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    // ?since=N returns only results after the first N, for incremental polling
+    const since = parseInt(req.query.since, 10) || 0;
+    
+    res.json({
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        completed: job.completed,
+        results: job.results.slice(since),
+        error: job.error || undefined,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt
+    });
+});
+
+// Retrain the statistical categorizer (?refresh=true re-pulls QuickBooks first)
+app.post('/api/quickbooks/statistical/retrain', async (req, res) => {
+    try {
+        if (req.query.refresh === 'true' || !company().qbTransactionCache.lastFetched) {
+            if (!company().tokens.access_token) {
+                return res.status(401).json({ error: 'Not authenticated' });
+            }
+            await fetchFinancialData({ force: req.query.refresh === 'true' });
+        }
+        
+        const report = retrainStatisticalModel();
+        res.json({ success: true, report });
+    } catch (err) {
+        console.error('Statistical retrain error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Held-out accuracy of the current statistical model
+app.get('/api/quickbooks/statistical/report', (req, res) => {
+    if (!company().statisticalReport) {
+        return res.status(404).json({ error: 'Statistical model has not been trained yet' });
+    }
+    res.json({ report: company().statisticalReport });
+});
+
+// ========== CATEGORIZATION AUDIT LOG ==========
+// Every suggestion we make and every category written back, with where it
+// came from and who approved it - Supabase with file fallback.
+
+// One JSON entry per line, appended - the log only grows
+const CATEGORIZATION_LOG_FILE = './categorization_log.jsonl';
+const LEGACY_CATEGORIZATION_LOG_FILE = './categorization_log.json';
+// Most recent entries kept in memory for queries without Supabase
+const CATEGORIZATION_LOG_MEMORY_LIMIT = parseInt(process.env.CATEGORIZATION_LOG_MEMORY_LIMIT) || 20000;
+
+// Last `count` lines of a file, read from the end so a long log isn't loaded whole
+function readLastLines(file, count) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const chunkSize = 1024 * 1024;
+        const chunks = [];
+        let position = fs.fstatSync(fd).size;
+        let newlines = 0;
+        
+        while (position > 0 && newlines <= count) {
+            const size = Math.min(chunkSize, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            fs.readSync(fd, chunk, 0, size, position);
+            chunks.unshift(chunk);
+            for (const byte of chunk) {
+                if (byte === 10) newlines++;
+            }
+        }
+        
+        return Buffer.concat(chunks).toString('utf8').split('\n').filter(Boolean).slice(-count);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+async function loadCategorizationLog() {
+    try {
+        // Convert the old whole-array file once
+        if (fs.existsSync(companyFile(LEGACY_CATEGORIZATION_LOG_FILE)) && !fs.existsSync(companyFile(CATEGORIZATION_LOG_FILE))) {
+            const entries = JSON.parse(fs.readFileSync(companyFile(LEGACY_CATEGORIZATION_LOG_FILE), 'utf8'));
+            fs.writeFileSync(companyFile(CATEGORIZATION_LOG_FILE), entries.map(e => JSON.stringify(e) + '\n').join(''));
+            fs.unlinkSync(companyFile(LEGACY_CATEGORIZATION_LOG_FILE));
+            console.log(`  Converted ${entries.length} categorization log entries to ${CATEGORIZATION_LOG_FILE}`);
+        }
+        
+        if (fs.existsSync(companyFile(CATEGORIZATION_LOG_FILE))) {
+            company().categorizationLog = readLastLines(companyFile(CATEGORIZATION_LOG_FILE), CATEGORIZATION_LOG_MEMORY_LIMIT)
+                .map(line => JSON.parse(line));
+            console.log(`✓ Loaded ${company().categorizationLog.length} recent categorization log entries`);
+        }
+    } catch (err) {
+        console.log('Could not load categorization log:', err.message);
+    }
+}
+
+function logEntryToRow(entry) {
+    return {
+        id: entry.id,
+        company_id: company().id,
+        event: entry.event,
+        transaction_id: entry.transactionId,
+        qb_id: entry.qbId,
+        qb_type: entry.qbType,
+        transaction_source: entry.transactionSource,
+        suggestion_source: entry.suggestionSource,
+        rule_id: entry.ruleId,
+        model: entry.model,
+        confidence: entry.confidence,
+        reasoning: entry.reasoning,
+        previous_category_id: entry.previousCategoryId,
+        previous_category: entry.previousCategory,
+        new_category_id: entry.newCategoryId,
+        new_category: entry.newCategory,
+        approved_by: entry.approvedBy,
+        merchant: entry.merchant,
+        created_at: entry.createdAt
+    };
+}
+
+function rowToLogEntry(row) {
+    return {
+        id: row.id,
+        event: row.event,
+        transactionId: row.transaction_id,
+        qbId: row.qb_id,
+        qbType: row.qb_type,
+        transactionSource: row.transaction_source,
+        suggestionSource: row.suggestion_source,
+        ruleId: row.rule_id,
+        model: row.model,
+        confidence: row.confidence != null ? Number(row.confidence) : null,
+        reasoning: row.reasoning,
+        previousCategoryId: row.previous_category_id,
+        previousCategory: row.previous_category,
+        newCategoryId: row.new_category_id,
+        newCategory: row.new_category,
+        approvedBy: row.approved_by,
+        merchant: row.merchant,
+        createdAt: row.created_at
+    };
+}
+
+// event: 'suggested' (we proposed a category) or 'applied' (a category was written)
+async function logCategorizations(entries) {
+    if (entries.length === 0) return [];
+    
+    const now = new Date().toISOString();
+    const logged = entries.map(entry => ({
+        id: `log-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+        event: entry.event,
+        transactionId: entry.transactionId || null,
+        qbId: entry.qbId || null,
+        qbType: entry.qbType || null,
+        transactionSource: entry.transactionSource || 'quickbooks',
+        suggestionSource: entry.suggestionSource || 'manual',
+        ruleId: entry.ruleId || null,
+        model: entry.model || null,
+        confidence: entry.confidence ?? null,
+        reasoning: entry.reasoning || null,
+        previousCategoryId: entry.previousCategoryId || null,
+        previousCategory: entry.previousCategory || null,
+        newCategoryId: entry.newCategoryId || null,
+        newCategory: entry.newCategory || null,
+        approvedBy: entry.approvedBy || null,
+        merchant: entry.merchant || null,
+        createdAt: now
+    }));
+    
+    const log = company().categorizationLog;
+    log.push(...logged);
+    if (log.length > CATEGORIZATION_LOG_MEMORY_LIMIT) {
+        log.splice(0, log.length - CATEGORIZATION_LOG_MEMORY_LIMIT);
+    }
+    
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('categorization_log')
+                .insert(logged.map(logEntryToRow));
+            
+            if (error) {
+                console.error('Supabase categorization log error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase categorization log exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        fs.appendFileSync(companyFile(CATEGORIZATION_LOG_FILE), logged.map(e => JSON.stringify(e) + '\n').join(''));
+    } catch (err) {
+        console.error('Error saving categorization log:', err);
+    }
+    
+    return logged;
+}
+
+// Log entries for a suggestion returned by /categorize or /categorize-batch
+function suggestionLogEntry(transaction, suggestion) {
+    return {
+        event: 'suggested',
+        transactionId: transaction.id,
+        qbId: transaction.qbId,
+        qbType: transaction.qbType,
+        transactionSource: transaction.source === 'plaid' ? 'plaid' : 'quickbooks',
+        suggestionSource: suggestion.source,
+        ruleId: suggestion.ruleId,
+        model: suggestion.model,
+        confidence: suggestion.confidence,
+        reasoning: suggestion.reasoning,
+        previousCategoryId: transaction.categoryId,
+        previousCategory: transaction.category,
+        newCategoryId: suggestion.categoryId,
+        newCategory: suggestion.categoryName,
+        merchant: transactionMerchant(transaction.description, transaction.vendor || transaction.merchant_name)
+    };
+}
+
+// Query the log. Supabase when configured, otherwise the local copy.
+async function queryCategorizationLog({ transactionId, category, merchant, since, limit = 500 }) {
+    if (supabase) {
+        try {
+            // Quote filter values - category names can contain commas and parentheses
+            const quoted = value => `"${String(value).replace(/"/g, '\\"')}"`;
+            const buildQuery = () => {
+                let query = supabase.from('categorization_log').select('*').eq('company_id', company().id);
+                if (transactionId) {
+                    const v = quoted(transactionId);
+                    query = query.or(`transaction_id.eq.${v},qb_id.eq.${v}`);
+                }
+                if (category) {
+                    const v = quoted(category);
+                    query = query.or(`new_category.eq.${v},new_category_id.eq.${v},previous_category.eq.${v},previous_category_id.eq.${v}`);
+                }
+                if (merchant) {
+                    // Substring match, so "blue bottle" finds "blue bottle coffee"
+                    query = query.ilike('merchant', `%${merchant.replace(/[%_\\]/g, c => `\\${c}`)}%`);
+                }
+                if (since) {
+                    query = query.gte('created_at', since);
+                }
+                return query.order('created_at', { ascending: false });
+            };
+            
+            // Supabase returns at most 1000 rows per request
+            const rows = [];
+            const pageSize = 1000;
+            let error = null;
+            while (rows.length < limit) {
+                const from = rows.length;
+                const to = Math.min(from + pageSize, limit) - 1;
+                const page = await buildQuery().range(from, to);
+                if (page.error) {
+                    error = page.error;
+                    break;
+                }
+                rows.push(...page.data);
+                if (page.data.length < to - from + 1) break;
+            }
+            
+            if (!error) {
+                return rows.map(rowToLogEntry);
+            }
+            console.log('Supabase categorization log query error, using local log:', error.message);
+        } catch (err) {
+            console.log('Supabase categorization log query exception:', err.message);
+        }
+    }
+    
+    return company().categorizationLog
+        .filter(e => !transactionId || e.transactionId === transactionId || e.qbId === transactionId)
+        .filter(e => !category || [e.newCategory, e.newCategoryId, e.previousCategory, e.previousCategoryId].includes(category))
+        .filter(e => !merchant || (e.merchant || '').includes(merchant))
+        .filter(e => !since || e.createdAt >= since)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+// Why did this transaction land where it did?
+app.get('/api/quickbooks/audit/transaction/:id', async (req, res) => {
+    try {
+        const entries = await queryCategorizationLog({ transactionId: req.params.id });
+        res.json({
+            transactionId: req.params.id,
+            current: entries.find(e => e.event === 'applied') || null,
+            entries
+        });
+    } catch (err) {
+        console.error('Audit query error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Everything moved into or out of a category (by name or QuickBooks account Id)
+app.get('/api/quickbooks/audit/category/:category', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+        const entries = await queryCategorizationLog({ category: req.params.category, limit });
+        const applied = entries.filter(e => e.event === 'applied');
+        
+        const bySource = {};
+        applied.forEach(e => {
+            bySource[e.suggestionSource] = (bySource[e.suggestionSource] || 0) + 1;
+        });
+        
+        res.json({
+            category: req.params.category,
+            appliedCount: applied.length,
+            bySource,
+            entries
+        });
+    } catch (err) {
+        console.error('Audit query error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== SUGGESTION ACCURACY ==========
+// Pair each suggestion with the category that was finally written for the
+// same transaction, so confidence numbers can be checked against reality.
+
+const CONFIDENCE_BUCKETS = [0, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1.0001];
+
+function confidenceBucket(confidence) {
+    const value = confidence ?? 0;
+    for (let i = 0; i < CONFIDENCE_BUCKETS.length - 1; i++) {
+        if (value >= CONFIDENCE_BUCKETS[i] && value < CONFIDENCE_BUCKETS[i + 1]) {
+            return `${CONFIDENCE_BUCKETS[i].toFixed(2)}-${Math.min(CONFIDENCE_BUCKETS[i + 1], 1).toFixed(2)}`;
+        }
+    }
+    return 'unknown';
+}
+
+function sameCategory(a, b) {
+    if (a.newCategoryId && b.newCategoryId) {
+        return a.newCategoryId === b.newCategoryId;
+    }
+    return (a.newCategory || '').toLowerCase() === (b.newCategory || '').toLowerCase();
+}
+
+// Latest suggestion before each applied category, per transaction
+function pairSuggestionOutcomes(entries) {
+    const byTransaction = {};
+    entries.forEach(e => {
+        const key = e.transactionId || e.qbId;
+        if (!key) return;
+        (byTransaction[key] = byTransaction[key] || []).push(e);
+    });
+    
+    const outcomes = [];
+    let pending = 0;
+    
+    Object.values(byTransaction).forEach(list => {
+        list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        let lastSuggestion = null;
+        
+        list.forEach(e => {
+            if (e.event === 'suggested') {
+                lastSuggestion = e;
+            } else if (e.event === 'applied' && lastSuggestion) {
+                outcomes.push({ suggestion: lastSuggestion, applied: e, accepted: sameCategory(lastSuggestion, e) });
+                lastSuggestion = null;
+            }
+        });
+        
+        if (lastSuggestion) pending++;
+    });
+    
+    return { outcomes, pending };
+}
+
+function summarizeOutcomes(outcomes, keyFn) {
+    const groups = {};
+    outcomes.forEach(o => {
+        const key = keyFn(o);
+        const g = groups[key] = groups[key] || { key, suggestions: 0, accepted: 0, confidenceSum: 0 };
+        g.suggestions++;
+        if (o.accepted) g.accepted++;
+        g.confidenceSum += o.suggestion.confidence ?? 0;
+    });
+    
+    return Object.values(groups).map(g => {
+        const acceptanceRate = g.accepted / g.suggestions;
+        const avgConfidence = g.confidenceSum / g.suggestions;
+        return {
+            key: g.key,
+            suggestions: g.suggestions,
+            accepted: g.accepted,
+            acceptanceRate,
+            avgConfidence,
+            // Positive = we claim more confidence than we earn
+            overconfidence: avgConfidence - acceptanceRate
+        };
+    }).sort((a, b) => b.suggestions - a.suggestions);
+}
+
+app.get('/api/quickbooks/audit/accuracy', async (req, res) => {
+    try {
+        const since = req.query.since || null;
+        const target = parseFloat(req.query.target) || 0.98;
+        
+        const entries = await queryCategorizationLog({ since, limit: 20000 });
+        const { outcomes, pending } = pairSuggestionOutcomes(entries);
+        
+        // What each candidate auto-approve threshold would have done
+        const thresholds = [0.8, 0.85, 0.9, 0.95, 0.97, 0.99].map(threshold => {
+            const above = outcomes.filter(o => (o.suggestion.confidence ?? 0) >= threshold);
+            const accepted = above.filter(o => o.accepted).length;
+            return {
+                threshold,
+                wouldAutoApprove: above.length,
+                coverage: outcomes.length ? above.length / outcomes.length : null,
+                acceptanceRate: above.length ? accepted / above.length : null,
+                wrongAutoApprovals: above.length - accepted
+            };
+        });
+        
+        const recommended = thresholds.find(t => t.acceptanceRate != null && t.acceptanceRate >= target && t.wouldAutoApprove >= 20);
+        
+        res.json({
+            since,
+            resolvedSuggestions: outcomes.length,
+            pendingSuggestions: pending,
+            overallAcceptanceRate: outcomes.length ? outcomes.filter(o => o.accepted).length / outcomes.length : null,
+            currentAutoApproveThreshold: AUTO_APPROVE_CONFIDENCE,
+            bySource: summarizeOutcomes(outcomes, o => o.suggestion.suggestionSource || 'unknown'),
+            byCategory: summarizeOutcomes(outcomes, o => o.suggestion.newCategory || 'Uncategorized'),
+            byConfidence: summarizeOutcomes(outcomes, o => confidenceBucket(o.suggestion.confidence))
+                .sort((a, b) => a.key.localeCompare(b.key)),
+            thresholds,
+            recommendation: recommended
+                ? { threshold: recommended.threshold, target, reason: `Lowest threshold with at least ${(target * 100).toFixed(0)}% acceptance over 20+ suggestions` }
+                : { threshold: null, target, reason: 'Not enough resolved suggestions meet the target yet' }
+        });
+    } catch (err) {
+        console.error('Accuracy report error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Record a category chosen outside update-transaction (e.g. a Plaid override),
+// so the suggestion it resolves is counted
+app.post('/api/quickbooks/audit/outcome', async (req, res) => {
+    try {
+        const { transactionId, categoryId, categoryName, approvedBy, transactionSource, previousCategory, previousCategoryId } = req.body;
+        
+        if (!transactionId || (!categoryId && !categoryName)) {
+            return res.status(400).json({ error: 'transactionId and categoryId or categoryName required' });
+        }
+        
+        const [entry] = await logCategorizations([{
+            event: 'applied',
+            transactionId,
+            transactionSource: transactionSource || 'plaid',
+            suggestionSource: 'manual',
+            previousCategoryId,
+            previousCategory,
+            newCategoryId: categoryId,
+            newCategory: categoryName,
+            approvedBy
+        }]);
+        
+        res.json({ success: true, entry });
+    } catch (err) {
+        console.error('Record outcome error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== UPDATE QUICKBOOKS TRANSACTION ==========
+
+// Entity types update-transaction may change. rowLine picks the lines that
+// fetchFinancialData numbers in its <rowPrefix>-<id>-<idx> row ids;
+// categoryDetail is the line detail whose AccountRef is the category.
+const QB_UPDATABLE_ENTITIES = {
+    Purchase: {
+        rowPrefix: 'purchase',
+        rowLine: line => !!(line.AccountBasedExpenseLineDetail || line.ItemBasedExpenseLineDetail),
+        categoryDetail: 'AccountBasedExpenseLineDetail'
+    },
+    Bill: {
+        rowPrefix: 'bill',
+        rowLine: line => !!line.AccountBasedExpenseLineDetail,
+        categoryDetail: 'AccountBasedExpenseLineDetail'
+    },
+    JournalEntry: {
+        rowPrefix: 'journal',
+        rowLine: () => true,
+        categoryDetail: 'JournalEntryLineDetail'
+    },
+    Deposit: {
+        rowPrefix: 'deposit',
+        rowLine: line => !!line.DepositLineDetail,
+        categoryDetail: 'DepositLineDetail'
+    },
+    VendorCredit: {
+        rowPrefix: 'vendorcredit',
+        rowLine: line => !!line.AccountBasedExpenseLineDetail,
+        categoryDetail: 'AccountBasedExpenseLineDetail'
+    }
+};
+
+const QB_UPDATE_MAX_ATTEMPTS = 3;
+const QB_BULK_UPDATE_LIMIT = 200;
+
+// Error carrying the HTTP status to answer with
+function updateError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Someone saved the entity since we read it - its SyncToken is out of date
+function isStaleObjectError(err) {
+    return /Stale Object|"code"\s*:\s*"5010"/i.test(err.message);
+}
+
+// Lines whose AccountRef is the transaction's category. Deposited customer
+// payments don't count - their account is Undeposited Funds.
+function isCategoryLine(line, entity) {
+    if (!line[entity.categoryDetail]) return false;
+    return !(entity.categoryDetail === 'DepositLineDetail' && (line.LinkedTxn || []).length);
+}
+
+// "purchase-123-1" → { transactionType: 'Purchase', transactionId: '123', lineIndex: 1 }
+function parseQuickBooksRowId(rowId) {
+    const match = /^([a-z]+)-(\d+)(?:-(\d+))?$/.exec(rowId || '');
+    if (!match) return null;
+    
+    const transactionType = Object.keys(QB_UPDATABLE_ENTITIES)
+        .find(type => QB_UPDATABLE_ENTITIES[type].rowPrefix === match[1]);
+    if (!transactionType) return null;
+    
+    return {
+        transactionType,
+        transactionId: match[2],
+        lineIndex: match[3] != null ? Number(match[3]) : null
+    };
+}
+
+// The line a row id points at, or every category line when allLines is set
+function linesToRecategorize(transaction, transactionType, { lineIndex, allLines }) {
+    const entity = QB_UPDATABLE_ENTITIES[transactionType];
+    const lines = transaction.Line || [];
+    
+    if (lineIndex == null) {
+        const categoryLines = lines.filter(line => isCategoryLine(line, entity));
+        if (categoryLines.length === 0) {
+            throw updateError(400, `${transactionType} ${transaction.Id} has no lines that carry a category`);
+        }
+        if (categoryLines.length > 1 && !allLines) {
+            throw updateError(400, `${transactionType} ${transaction.Id} has ${categoryLines.length} category lines - give a lineIndex or rowId, or allLines: true`);
+        }
+        return categoryLines;
+    }
+    
+    const line = lines.filter(entity.rowLine)[lineIndex];
+    if (!line) {
+        throw updateError(404, `${transactionType} ${transaction.Id} has no line ${lineIndex}`);
+    }
+    if (!isCategoryLine(line, entity)) {
+        throw updateError(400, `Line ${lineIndex} of ${transactionType} ${transaction.Id} has no category to change`);
+    }
+    return [line];
+}
+
+// Read, recategorize and save one transaction. A stale SyncToken means it
+// was saved elsewhere in between - read it again and reapply.
+async function recategorizeQuickBooksTransaction({ transactionType, transactionId, lineIndex, allLines, categoryId, categoryName }) {
+    const entity = QB_UPDATABLE_ENTITIES[transactionType];
+    
+    for (let attempt = 1; ; attempt++) {
+        const query = `SELECT * FROM ${transactionType} WHERE Id = '${transactionId}'`;
+        const result = await qbApiCall(`/query?query=${encodeURIComponent(query)}`);
+        
+        const transaction = result.QueryResponse?.[transactionType]?.[0];
+        if (!transaction) {
+            throw updateError(404, 'Transaction not found');
+        }
+        
+        const lines = linesToRecategorize(transaction, transactionType, { lineIndex, allLines });
+        const previousRef = { ...lines[0][entity.categoryDetail].AccountRef };
+        const description = lines[0].Description;
+        
+        lines.forEach(line => {
+            line[entity.categoryDetail].AccountRef = {
+                value: categoryId,
+                name: categoryName
+            };
+        });
+        
+        try {
+            const updateResult = await qbApiCall(
+                `/${transactionType.toLowerCase()}?operation=update`,
+                'POST',
+                transaction
+            );
+            return { transaction: updateResult[transactionType], previousRef, description, attempts: attempt };
+        } catch (err) {
+            if (!isStaleObjectError(err) || attempt >= QB_UPDATE_MAX_ATTEMPTS) throw err;
+            console.log(`  Stale SyncToken on ${transactionType} ${transactionId} - retrying (attempt ${attempt + 1})`);
+        }
+    }
+}
+
+// One recategorization: { transactionType, transactionId, lineIndex } or a
+// dashboard rowId, plus categoryId/categoryName and where the category came from
+async function applyQuickBooksUpdate(body) {
+    const { categoryId, categoryName, allLines } = body;
+    // Where the chosen category came from, and who approved it
+    const { suggestionSource, ruleId, model, confidence, reasoning, approvedBy } = body;
+    
+    const fromRow = parseQuickBooksRowId(body.rowId);
+    const transactionType = body.transactionType || fromRow?.transactionType;
+    const transactionId = String(body.transactionId || fromRow?.transactionId || '');
+    const sameRow = fromRow && fromRow.transactionType === transactionType && fromRow.transactionId === transactionId;
+    const lineIndex = body.lineIndex ?? (sameRow ? fromRow.lineIndex : null);
+    
+    const entity = QB_UPDATABLE_ENTITIES[transactionType];
+    if (!entity) {
+        throw updateError(400, `transactionType must be one of ${Object.keys(QB_UPDATABLE_ENTITIES).join(', ')}`);
+    }
+    if (!/^\d+$/.test(transactionId)) {
+        throw updateError(400, 'transactionId must be a QuickBooks Id');
+    }
+    if (lineIndex != null && !(Number.isInteger(lineIndex) && lineIndex >= 0)) {
+        throw updateError(400, 'lineIndex must be a non-negative integer');
+    }
+    if (!categoryId || !categoryName) {
+        throw updateError(400, 'categoryId and categoryName required');
+    }
+    // Journal entry lines post to different accounts - never set them all to one
+    if (transactionType === 'JournalEntry' && lineIndex == null) {
+        throw updateError(400, 'Journal entries need a lineIndex or rowId');
+    }
+    
+    console.log(`Updating ${transactionType} ${transactionId}${lineIndex != null ? ` line ${lineIndex}` : ''} to category ${categoryName}`);
+    
+    const { transaction, previousRef, description: lineDescription, attempts } = await recategorizeQuickBooksTransaction({
+        transactionType, transactionId, lineIndex, allLines, categoryId, categoryName
+    });
+    cacheQuickBooksEntity(transactionType, transaction);
+    
+    console.log(`✓ Updated ${transactionType} ${transactionId}`);
+    
+    // Suggestions are logged per dashboard row (purchase-123-0), so outcomes
+    // are too - a whole-transaction update logs each category line it changed
+    const rowIds = lineIndex != null
+        ? [`${entity.rowPrefix}-${transactionId}-${lineIndex}`]
+        : (transaction.Line || []).filter(entity.rowLine)
+            .map((line, idx) => (isCategoryLine(line, entity) ? `${entity.rowPrefix}-${transactionId}-${idx}` : null))
+            .filter(Boolean);
+    const rowId = rowIds.length === 1 ? rowIds[0] : null;
+    
+    // Description and vendor for the merchant - from the dashboard rows when fetched
+    const cachedRows = company().qbTransactionCache.transactions.filter(t => rowId
+        ? t.id === rowId
+        : String(t.qbId) === transactionId && t.qbType === transactionType);
+    const vendor = body.vendor || cachedRows[0]?.vendor ||
+        transaction?.EntityRef?.name || transaction?.VendorRef?.name || '';
+    const description = body.description || cachedRows[0]?.description ||
+        lineDescription || transaction?.PrivateNote || '';
+    
+    const entries = [];
+    for (const logId of rowIds.length > 0 ? rowIds : [transactionId]) {
+        // Inherit source/model/reasoning from the latest matching suggestion
+        // unless the client says where the category came from
+        const suggestion = suggestionSource ? null : (await queryCategorizationLog({ transactionId: logId, limit: 50 }))
+            .find(e => e.event === 'suggested' && (e.newCategoryId === categoryId || e.newCategory === categoryName));
+        entries.push({ logId, suggestion });
+    }
+    
+    await logCategorizations(entries.map(({ logId, suggestion }) => ({
+        event: 'applied',
+        transactionId: logId,
+        qbId: transactionId,
+        qbType: transactionType,
+        suggestionSource: suggestionSource || suggestion?.suggestionSource || 'manual',
+        ruleId: ruleId || suggestion?.ruleId,
+        model: model || suggestion?.model,
+        confidence: confidence ?? suggestion?.confidence,
+        reasoning: reasoning || suggestion?.reasoning,
+        previousCategoryId: previousRef?.value,
+        previousCategory: previousRef?.name,
+        newCategoryId: categoryId,
+        newCategory: categoryName,
+        approvedBy,
+        merchant: transactionMerchant(description, vendor)
+    })));
+    
+    // Keep the cached rows in step so suggestion counts don't include this one
+    cachedRows.forEach(row => {
+        row.category = categoryName;
+        row.categoryId = categoryId;
+        row.needsReview = false;
+    });
+    
+    let ruleSuggestion = null;
+    try {
+        ruleSuggestion = await suggestRuleForCategorization({
+            description,
+            vendor,
+            context: cachedRows[0] ? qbRuleContext(cachedRows[0]) : {},
+            categoryId,
+            categoryName,
+            qbId: transactionId
+        });
+    } catch (err) {
+        console.error('Rule suggestion error:', err.message);
+    }
+    
+    return { transaction, transactionType, transactionId, lineIndex, rowId, attempts, ruleSuggestion };
+}
+
+app.post('/api/quickbooks/update-transaction', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const result = await applyQuickBooksUpdate(req.body);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Update transaction error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Many recategorizations, one after another: { updates: [{ ...update-transaction body }], approvedBy }
+// One failing doesn't stop the rest - each gets its own result.
+app.post('/api/quickbooks/update-transaction/bulk', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const { updates, approvedBy, suggestionSource } = req.body;
+        if (!Array.isArray(updates) || updates.length === 0) {
+            return res.status(400).json({ error: 'updates must be a non-empty array' });
+        }
+        if (updates.length > QB_BULK_UPDATE_LIMIT) {
+            return res.status(400).json({ error: `At most ${QB_BULK_UPDATE_LIMIT} updates per request` });
+        }
+        
+        const results = [];
+        for (const [index, update] of updates.entries()) {
+            try {
+                const result = await applyQuickBooksUpdate({ approvedBy, suggestionSource, ...update });
+                results.push({
+                    index,
+                    success: true,
+                    rowId: result.rowId,
+                    transactionType: result.transactionType,
+                    transactionId: result.transactionId,
+                    lineIndex: result.lineIndex,
+                    attempts: result.attempts,
+                    ruleSuggestion: result.ruleSuggestion
+                });
+            } catch (err) {
+                if (!err.status) {
+                    console.error(`Bulk update ${index} error:`, err.message);
+                }
+                results.push({
+                    index,
+                    success: false,
+                    rowId: update.rowId || null,
+                    transactionType: update.transactionType || null,
+                    transactionId: update.transactionId || null,
+                    status: err.status || 500,
+                    error: err.message
+                });
+            }
+        }
+        
+        const updated = results.filter(r => r.success).length;
+        console.log(`✓ Bulk update: ${updated}/${results.length} transaction(s) updated`);
+        
+        res.json({ success: updated === results.length, updated, failed: results.length - updated, results });
+    } catch (err) {
+        console.error('Bulk update error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Split one QuickBooks expense across several categories:
+// { transactionId, transactionType, splits: [{ categoryId, categoryName, amount, description }] }
+// The account-based expense lines are replaced by one line per split.
+
+// The transaction's lines with the splits where its first expense line was.
+// Every other line keeps its place; rowMoves maps the row index of each kept
+// row line to its new one, splitRows are the row indexes of the new lines.
+function splitTransactionLines(transaction, entity, splitLines) {
+    const lines = [];
+    const rowMoves = new Map();
+    const splitRows = [];
+    let oldRow = 0;
+    let newRow = 0;
+    
+    (transaction.Line || []).forEach(line => {
+        if (line.DetailType !== 'AccountBasedExpenseLineDetail') {
+            if (entity.rowLine(line)) rowMoves.set(oldRow++, newRow++);
+            lines.push(line);
+            return;
+        }
+        oldRow++;
+        if (splitRows.length > 0) return;
+        splitLines.forEach(splitLine => {
+            splitRows.push(newRow++);
+            lines.push(splitLine);
+        });
+    });
+    
+    return { lines, rowMoves, splitRows };
+}
+
+// Read, split and save one transaction - retried on a stale SyncToken
+// like recategorizeQuickBooksTransaction
+async function splitQuickBooksTransaction({ transactionType, transactionId, splits }) {
+    const entity = QB_UPDATABLE_ENTITIES[transactionType];
+    
+    for (let attempt = 1; ; attempt++) {
+        const query = `SELECT * FROM ${transactionType} WHERE Id = '${transactionId}'`;
+        const result = await qbApiCall(`/query?query=${encodeURIComponent(query)}`);
+        
+        const transaction = result.QueryResponse?.[transactionType]?.[0];
+        if (!transaction) {
+            throw updateError(404, 'Transaction not found');
+        }
+        
+        const expenseLines = (transaction.Line || [])
+            .filter(line => line.DetailType === 'AccountBasedExpenseLineDetail');
+        if (expenseLines.length === 0) {
+            throw updateError(400, 'Transaction has no account-based expense lines to split');
+        }
+        
+        const total = expenseLines.reduce((sum, line) => sum + (line.Amount || 0), 0);
+        const validationError = validateSplits(splits, total);
+        if (validationError) {
+            throw updateError(400, validationError);
+        }
+        
+        const lines = normalizeSplits(splits);
+        
+        // New lines keep the first line's billable/tax/customer settings
+        const template = expenseLines[0];
+        const previousRef = { ...template.AccountBasedExpenseLineDetail.AccountRef };
+        const { lines: newLines, rowMoves, splitRows } = splitTransactionLines(transaction, entity, lines.map(split => ({
+            DetailType: 'AccountBasedExpenseLineDetail',
+            Amount: split.amount,
+            Description: split.description || template.Description,
+            AccountBasedExpenseLineDetail: {
+                ...template.AccountBasedExpenseLineDetail,
+                AccountRef: { value: split.categoryId, name: split.categoryName }
+            }
+        })));
+        transaction.Line = newLines;
+        
+        try {
+            const updateResult = await qbApiCall(
+                `/${transactionType.toLowerCase()}?operation=update`,
+                'POST',
+                transaction
+            );
+            return { transaction: updateResult[transactionType], lines, total, previousRef, rowMoves, splitRows, attempts: attempt };
+        } catch (err) {
+            if (!isStaleObjectError(err) || attempt >= QB_UPDATE_MAX_ATTEMPTS) throw err;
+            console.log(`  Stale SyncToken on ${transactionType} ${transactionId} - retrying (attempt ${attempt + 1})`);
+        }
+    }
+}
+
+// A transaction's lines were renumbered: move its overrides and flags to the
+// rows' new ids and drop those whose line is gone
+async function renumberQuickBooksRows(rowPrefix, transactionId, rowMoves) {
+    const rowPattern = new RegExp(`^${rowPrefix}-${transactionId}-(\\d+)$`);
+    const stores = [
+        [company().transactionOverrides, saveOverride],
+        [company().flaggedExpenses, saveFlag]
+    ];
+    
+    for (const [store, save] of stores) {
+        const changed = new Set();
+        const moved = {};
+        
+        Object.keys(store).forEach(oldId => {
+            const match = rowPattern.exec(oldId);
+            if (!match) return;
+            
+            const newRow = rowMoves.get(Number(match[1]));
+            if (newRow != null) {
+                const newId = `${rowPrefix}-${transactionId}-${newRow}`;
+                moved[newId] = { ...store[oldId], transactionId: newId };
+                changed.add(newId);
+            }
+            delete store[oldId];
+            changed.add(oldId);
+        });
+        
+        Object.assign(store, moved);
+        for (const id of changed) {
+            await save(id);
+        }
+    }
+}
+
+app.post('/api/quickbooks/split-transaction', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const { splits, approvedBy } = req.body;
+        const transactionType = req.body.transactionType;
+        const transactionId = String(req.body.transactionId || '');
+        
+        const entity = QB_UPDATABLE_ENTITIES[transactionType];
+        if (entity?.categoryDetail !== 'AccountBasedExpenseLineDetail') {
+            return res.status(400).json({ error: 'transactionType must be Purchase, Bill or VendorCredit' });
+        }
+        if (!/^\d+$/.test(transactionId)) {
+            return res.status(400).json({ error: 'transactionId must be a QuickBooks Id' });
+        }
+        
+        console.log(`Splitting ${transactionType} ${transactionId}`);
+        
+        const { transaction, lines, total, previousRef, rowMoves, splitRows, attempts } = await splitQuickBooksTransaction({
+            transactionType, transactionId, splits
+        });
+        cacheQuickBooksEntity(transactionType, transaction);
+        console.log(`✓ Split ${transactionType} ${transactionId} into ${lines.length} lines`);
+        
+        await renumberQuickBooksRows(entity.rowPrefix, transactionId, rowMoves);
+        
+        // One entry per new dashboard row, so outcomes pair with its suggestions
+        const rowIds = splitRows.map(idx => `${entity.rowPrefix}-${transactionId}-${idx}`);
+        await logCategorizations(lines.map((split, idx) => ({
+            event: 'applied',
+            transactionId: rowIds[idx],
+            qbId: transactionId,
+            qbType: transactionType,
+            suggestionSource: 'manual',
+            reasoning: `Split: $${split.amount.toFixed(2)} of $${total.toFixed(2)}`,
+            previousCategoryId: previousRef?.value,
+            previousCategory: previousRef?.name,
+            newCategoryId: split.categoryId,
+            newCategory: split.categoryName,
+            approvedBy
+        })));
+        
+        // The transaction's dashboard rows are renumbered - drop them until
+        // the next fetch rebuilds them from the cached entity
+        company().qbTransactionCache.transactions = company().qbTransactionCache.transactions
+            .filter(t => !(String(t.qbId) === transactionId && t.qbType === transactionType));
+        
+        res.json({
+            success: true,
+            transaction,
+            splits: lines,
+            rowIds,
+            attempts
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Split transaction error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== LEARN FROM APPROVAL ==========
+
+// Rules are the same rule when pattern and every scoping field agree
+function ruleScopeKey(rule) {
+    return JSON.stringify([
+        rule.pattern.toLowerCase(),
+        rule.patternType,
+        rule.amountMin,
+        rule.amountMax,
+        (rule.institution || '').toLowerCase(),
+        rule.accountId,
+        rule.direction
+    ]);
+}
+
+// Pull the rule fields out of a request body, coercing numbers
+function ruleFromBody(body) {
+    const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+    return normalizeRule({
+        pattern: body.pattern,
+        patternType: body.patternType || 'contains',
+        categoryId: body.categoryId,
+        categoryName: body.categoryName,
+        transactionType: body.transactionType || null,
+        amountMin: toNumber(body.amountMin),
+        amountMax: toNumber(body.amountMax),
+        institution: body.institution || null,
+        accountId: body.accountId || null,
+        direction: body.direction || null,
+        priority: toNumber(body.priority) ?? 0
+    });
+}
+
+// Create a validated rule, or update the rule with the given id / identical scope.
+// Returns null when an id is given that doesn't exist.
+async function learnRule(candidate, { id = null, changedBy = null } = {}) {
+    // Update by id when given, otherwise check if an identical rule already exists
+    const existingIndex = id
+        ? company().learnedRules.findIndex(r => r.id === id)
+        : company().learnedRules.findIndex(r => ruleScopeKey(r) === ruleScopeKey(candidate));
+    
+    if (id && existingIndex < 0) {
+        return null;
+    }
+    
+    let rule;
+    if (existingIndex >= 0) {
+        // Update existing rule
+        rule = company().learnedRules[existingIndex];
+        const previous = { ...rule };
+        Object.assign(rule, candidate);
+        rule.timesUsed = (rule.timesUsed || 1) + 1;
+        rule.version = (rule.version || 1) + 1;
+        rule.updatedAt = new Date().toISOString();
+        await saveRules([rule]);
+        await recordRuleRevision('update', rule, previous, changedBy);
+    } else {
+        // Add new rule
+        rule = {
+            id: `rule-${Date.now()}`,
+            ...candidate,
+            confidence: 1.0,
+            timesUsed: 1,
+            version: 1,
+            learnedBy: changedBy,
+            createdAt: new Date().toISOString()
+        };
+        company().learnedRules.push(rule);
+        await saveRules([rule]);
+        await recordRuleRevision('create', rule, null, changedBy);
+    }
+    
+    console.log(`✓ Learned rule: "${rule.pattern}" → ${rule.categoryName}`);
+    return rule;
+}
+
+app.post('/api/quickbooks/learn-rule', async (req, res) => {
+    try {
+        const candidate = ruleFromBody(req.body);
+        const validationError = validateRule(candidate);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const rule = await learnRule(candidate, {
+            id: req.body.id,
+            changedBy: req.body.changedBy || req.body.learnedBy || null
+        });
+        
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        
+        res.json({ 
+            success: true, 
+            rule,
+            rulesCount: company().learnedRules.length 
+        });
+    } catch (err) {
+        console.error('Learn rule error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Dry-run a candidate rule against stored QuickBooks and Plaid transactions:
+// what would change category, the monthly P&L impact and which rules it shadows
+app.post('/api/quickbooks/rules/preview', async (req, res) => {
+    try {
+        const candidate = { ...ruleFromBody(req.body), id: req.body.id || 'preview', confidence: 1.0 };
+        const validationError = validateRule(candidate);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (req.query.refresh_quickbooks === 'true' && company().tokens.access_token) {
+            await fetchFinancialData({ force: true });
+        }
+        
+        // Editing an existing rule replaces it rather than competing with it
+        const rulesWithCandidate = [...company().learnedRules.filter(r => r.id !== candidate.id), candidate];
+        
+        const plaidSet = getCategorizedPlaidTransactions().transactions
+            // Matched transfers stay transfers whatever the rules say
+            .filter(t => t.transferStatus !== 'matched')
+            .map(t => ({
+                source: 'plaid',
+                txn: t,
+                description: t.description,
+                vendor: t.merchant_name,
+                context: plaidRuleContext(t),
+                currentCategory: t.smartCategory
+            }));
+        
+        const qbSet = company().qbTransactionCache.transactions
+            .filter(t => t.type === 'expense' || t.type === 'income')
+            .map(t => ({
+                source: 'quickbooks',
+                txn: t,
+                description: t.description,
+                vendor: t.vendor,
+                context: qbRuleContext(t),
+                currentCategory: t.category
+            }));
+        
+        const changes = [];
+        const unchanged = [];
+        const monthly = {};
+        const shadowed = {};
+        const overriddenBy = {};
+        
+        [...plaidSet, ...qbSet].forEach(item => {
+            const matches = findMatchingRules(item.description, item.vendor, item.context, rulesWithCandidate);
+            const candidateIndex = matches.findIndex(r => r.id === candidate.id);
+            if (candidateIndex < 0) return;
+            
+            // Rules that outrank the candidate keep these transactions
+            if (candidateIndex > 0) {
+                const winner = matches[0];
+                overriddenBy[winner.id] = overriddenBy[winner.id] || { id: winner.id, pattern: winner.pattern, categoryName: winner.categoryName, transactionCount: 0 };
+                overriddenBy[winner.id].transactionCount++;
+                return;
+            }
+            
+            matches.slice(1).forEach(rule => {
+                shadowed[rule.id] = shadowed[rule.id] || { id: rule.id, pattern: rule.pattern, categoryName: rule.categoryName, transactionCount: 0 };
+                shadowed[rule.id].transactionCount++;
+            });
+            
+            const entry = {
+                source: item.source,
+                id: item.txn.id,
+                date: item.txn.date,
+                description: item.description,
+                vendor: item.vendor || '',
+                amount: item.txn.amount,
+                fromCategory: item.currentCategory || 'Uncategorized',
+                toCategory: candidate.categoryName
+            };
+            
+            if (entry.fromCategory === entry.toCategory) {
+                unchanged.push(entry);
+                return;
+            }
+            changes.push(entry);
+            
+            const month = (entry.date || '').slice(0, 7);
+            const amount = Math.abs(entry.amount);
+            monthly[month] = monthly[month] || { month, transactionCount: 0, amountMoved: 0, byCategory: {} };
+            monthly[month].transactionCount++;
+            monthly[month].amountMoved += amount;
+            monthly[month].byCategory[entry.fromCategory] = (monthly[month].byCategory[entry.fromCategory] || 0) - amount;
+            monthly[month].byCategory[entry.toCategory] = (monthly[month].byCategory[entry.toCategory] || 0) + amount;
+        });
+        
+        changes.sort((a, b) => new Date(b.date) - new Date(a.date));
+        
+        res.json({
+            rule: candidate,
+            matchedCount: changes.length + unchanged.length,
+            changeCount: changes.length,
+            totalAmountMoved: changes.reduce((sum, c) => sum + Math.abs(c.amount), 0),
+            changes,
+            monthlyImpact: Object.values(monthly).sort((a, b) => a.month.localeCompare(b.month)),
+            shadowedRules: Object.values(shadowed),
+            overriddenBy: Object.values(overriddenBy),
+            sources: {
+                plaid: plaidSet.length,
+                quickbooks: qbSet.length,
+                quickbooksLastFetched: company().qbTransactionCache.lastFetched
+            }
+        });
+    } catch (err) {
+        console.error('Rule preview error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get all learned rules (highest priority first)
+app.get('/api/quickbooks/rules', (req, res) => {
+    res.json({ rules: [...company().learnedRules].sort(compareRules) });
+});
+
+// Transactions matched by more than one rule with different categories
+app.get('/api/quickbooks/rules/conflicts', (req, res) => {
+    const conflicts = {};
+
+    Object.values(company().plaidTransactions).forEach(txn => {
+        const matches = findMatchingRules(txn.description, txn.merchant_name, plaidRuleContext(txn));
+        if (matches.length < 2) return;
+
+        const [winner, ...others] = matches;
+        others
+            .filter(r => r.categoryId !== winner.categoryId || r.categoryName !== winner.categoryName)
+            .forEach(loser => {
+                const key = `${winner.id}|${loser.id}`;
+                if (!conflicts[key]) {
+                    conflicts[key] = {
+                        winner: { id: winner.id, pattern: winner.pattern, categoryName: winner.categoryName, priority: winner.priority },
+                        loser: { id: loser.id, pattern: loser.pattern, categoryName: loser.categoryName, priority: loser.priority },
+                        tied: winner.priority === loser.priority && ruleSpecificity(winner) === ruleSpecificity(loser),
+                        transactionCount: 0,
+                        examples: []
+                    };
+                }
+                conflicts[key].transactionCount++;
+                if (conflicts[key].examples.length < 5) {
+                    conflicts[key].examples.push({ id: txn.id, date: txn.date, description: txn.description, amount: txn.amount });
+                }
+            });
+    });
+
+    const list = Object.values(conflicts).sort((a, b) => b.transactionCount - a.transactionCount);
+    res.json({ conflicts: list, count: list.length });
+});
+
+// Delete a rule
+app.delete('/api/quickbooks/rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const rule = company().learnedRules.find(r => r.id === id);
+        company().learnedRules = company().learnedRules.filter(r => r.id !== id);
+        await saveRules([]);
+        
+        if (rule) {
+            await deleteRuleFromSupabase(id);
+            // Keep the deleted rule in its history so it can be rolled back
+            await recordRuleRevision('delete', { ...rule, version: (rule.version || 1) + 1 }, rule, req.query.changed_by);
+        }
+        
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Revision history for a rule (including deleted rules)
+app.get('/api/quickbooks/rules/:id/history', (req, res) => {
+    const { id } = req.params;
+    const history = company().ruleHistory.filter(r => r.ruleId === id);
+    
+    if (history.length === 0) {
+        return res.status(404).json({ error: 'No history for this rule' });
+    }
+    
+    res.json({
+        ruleId: id,
+        current: company().learnedRules.find(r => r.id === id) || null,
+        history
+    });
+});
+
+// Restore a rule to the state it had at a given version
+app.post('/api/quickbooks/rules/:id/rollback', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { version, changedBy } = req.body;
+        
+        const target = company().ruleHistory.find(r =>
+            r.ruleId === id && r.version === Number(version) && r.action !== 'delete'
+        );
+        if (!target) {
+            return res.status(404).json({ error: `Version ${version} not found for rule ${id}` });
+        }
+        
+        const latestVersion = Math.max(...company().ruleHistory.filter(r => r.ruleId === id).map(r => r.version || 1));
+        const existingIndex = company().learnedRules.findIndex(r => r.id === id);
+        const previous = existingIndex >= 0 ? { ...company().learnedRules[existingIndex] } : null;
+        
+        const restored = {
+            ...target.rule,
+            version: latestVersion + 1,
+            updatedAt: new Date().toISOString()
+        };
+        
+        if (existingIndex >= 0) {
+            company().learnedRules[existingIndex] = restored;
+        } else {
+            company().learnedRules.push(restored);
+        }
+        
+        await saveRules([restored]);
+        await recordRuleRevision('rollback', restored, previous, changedBy);
+        
+        console.log(`✓ Rolled back rule "${restored.pattern}" to version ${version} → ${restored.categoryName}`);
+        
+        res.json({ success: true, rule: restored });
+    } catch (err) {
+        console.error('Rule rollback error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== RULE SUGGESTIONS ==========
+// After a manual categorization, propose a rule for the normalized merchant.
+// Once the same merchant has been put in the same category
+// RULE_PROMOTION_THRESHOLD times, the rule is created automatically.
+
+const RULE_PROMOTION_THRESHOLD = parseInt(process.env.RULE_PROMOTION_THRESHOLD, 10) || 3;
+const RULE_SUGGESTIONS_FILE = './rule_suggestions.json';
+
+function suggestionToRow(suggestion) {
+    return {
+        id: suggestion.id,
+        company_id: company().id,
+        merchant: suggestion.merchant,
+        pattern: suggestion.pattern,
+        pattern_type: suggestion.patternType,
+        category_id: suggestion.categoryId,
+        category_name: suggestion.categoryName,
+        occurrences: suggestion.occurrences,
+        conflicts_with: suggestion.conflictsWith || [],
+        status: suggestion.status,
+        rule_id: suggestion.ruleId,
+        created_at: suggestion.createdAt,
+        updated_at: suggestion.updatedAt
+    };
+}
+
+function rowToSuggestion(row) {
+    return {
+        id: row.id,
+        merchant: row.merchant,
+        merchantDisplay: normalizeMerchant(row.merchant).display,
+        pattern: row.pattern,
+        patternType: row.pattern_type,
+        categoryId: row.category_id,
+        categoryName: row.category_name,
+        occurrences: row.occurrences || 0,
+        promotionThreshold: RULE_PROMOTION_THRESHOLD,
+        conflictsWith: row.conflicts_with || [],
+        status: row.status,
+        ruleId: row.rule_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+async function loadRuleSuggestions() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('rule_suggestions')
+                .select('*')
+                .eq('company_id', company().id);
+            
+            if (error) {
+                console.log('Supabase rule suggestion load error, falling back to file:', error.message);
+            } else if (data && data.length > 0) {
+                company().ruleSuggestions = {};
+                data.map(rowToSuggestion).forEach(suggestion => {
+                    company().ruleSuggestions[suggestion.id] = suggestion;
+                });
+                console.log(`✓ Loaded ${data.length} rule suggestion(s) from Supabase`);
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase rule suggestion load exception:', err.message);
+        }
+    }
+    
+    // Fallback to file
+    try {
+        if (fs.existsSync(companyFile(RULE_SUGGESTIONS_FILE))) {
+            company().ruleSuggestions = JSON.parse(fs.readFileSync(companyFile(RULE_SUGGESTIONS_FILE), 'utf8'));
+            console.log(`✓ Loaded ${Object.keys(company().ruleSuggestions).length} rule suggestion(s) from file`);
+            
+            // Migrate file data to Supabase
+            if (supabase && Object.keys(company().ruleSuggestions).length > 0) {
+                const { error } = await supabase
+                    .from('rule_suggestions')
+                    .upsert(Object.values(company().ruleSuggestions).map(suggestionToRow), { onConflict: 'id' });
+                if (error) {
+                    console.error('Supabase rule suggestion migration error:', error.message);
+                }
+            }
+        }
+    } catch (err) {
+        console.log('No rule suggestions found');
+    }
+}
+
+async function saveRuleSuggestion(suggestion) {
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('rule_suggestions')
+                .upsert(suggestionToRow(suggestion), { onConflict: 'id' });
+            
+            if (error) {
+                console.error('Supabase rule suggestion save error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase rule suggestion save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        fs.writeFileSync(companyFile(RULE_SUGGESTIONS_FILE), JSON.stringify(company().ruleSuggestions, null, 2));
+    } catch (err) {
+        console.error('Error saving rule suggestions:', err);
+    }
+}
+
+function ruleSuggestionId(merchant, categoryId, categoryName) {
+    const key = `${merchant}|${categoryId || categoryName}`;
+    return `suggestion-${crypto.createHash('md5').update(key).digest('hex').slice(0, 12)}`;
+}
+
+// Short canonical names ("ups", "bp") only match the merchant exactly,
+// otherwise they hit every description containing those letters
+function suggestedPatternType(merchant) {
+    return merchant.length < 4 ? 'exact' : 'contains';
+}
+
+// Uncategorized QuickBooks and Plaid transactions a candidate rule would categorize
+function uncategorizedRuleMatches(candidate, excludeQbId = null) {
+    const matches = [];
+    
+    company().qbTransactionCache.transactions
+        .filter(t => t.needsReview && (t.type === 'expense' || t.type === 'income'))
+        .filter(t => excludeQbId == null || String(t.qbId) !== String(excludeQbId))
+        .forEach(t => {
+            if (findMatchingRules(t.description, t.vendor, qbRuleContext(t), [candidate]).length > 0) {
+                matches.push({ source: 'quickbooks', id: t.id, qbId: t.qbId, qbType: t.qbType, date: t.date, description: t.description, amount: t.amount });
+            }
+        });
+    
+    getCategorizedPlaidTransactions().transactions
+        .filter(t => t.smartCategory === 'Uncategorized' && t.transferStatus !== 'matched')
+        .forEach(t => {
+            if (findMatchingRules(t.description, t.merchant_name, plaidRuleContext(t), [candidate]).length > 0) {
+                matches.push({ source: 'plaid', id: t.id, date: t.date, description: t.description, amount: t.amount });
+            }
+        });
+    
+    return matches;
+}
+
+function suggestionRule(suggestion) {
+    return ruleFromBody({
+        pattern: suggestion.pattern,
+        patternType: suggestion.patternType,
+        categoryId: suggestion.categoryId,
+        categoryName: suggestion.categoryName
+    });
+}
+
+// The suggested rule as a dry-run candidate for findMatchingRules
+function suggestionCandidateRule(suggestion) {
+    return { ...suggestionRule(suggestion), id: suggestion.id, confidence: 1.0 };
+}
+
+// Called after a category is written back. Returns null when there is nothing
+// to suggest (no merchant, already covered by a rule, or dismissed).
+async function suggestRuleForCategorization({ description, vendor, context = {}, categoryId, categoryName, qbId = null }) {
+    const merchant = transactionMerchant(description, vendor);
+    if (!merchant || !categoryName) {
+        return null;
+    }
+    
+    const sameCategory = r => (categoryId && r.categoryId === categoryId) || r.categoryName === categoryName;
+    const existingRules = findMatchingRules(description, vendor, context);
+    if (existingRules.some(sameCategory)) {
+        return null;
+    }
+    
+    // Grow an open suggestion whose pattern already covers this merchant
+    // ("blue bottle" for "blue bottle oakland") rather than starting another
+    const open = Object.values(company().ruleSuggestions).find(s =>
+        s.status !== 'accepted' && s.status !== 'promoted' && sameCategory(s) &&
+        patternMatches(s, merchant)
+    );
+    const pattern = open ? open.pattern : merchant;
+    const patternType = open ? open.patternType : suggestedPatternType(merchant);
+    
+    const id = open ? open.id : ruleSuggestionId(merchant, categoryId, categoryName);
+    if (company().ruleSuggestions[id]?.status === 'dismissed') {
+        return null;
+    }
+    
+    // Distinct transactions of a matching merchant written to this category
+    const applied = (await queryCategorizationLog({ merchant: pattern, limit: 1000 }))
+        .filter(e => e.event === 'applied' && e.merchant && patternMatches({ pattern, patternType }, e.merchant))
+        .filter(e => (categoryId && e.newCategoryId === categoryId) || e.newCategory === categoryName);
+    const occurrences = new Set(applied.map(e => e.transactionId)).size;
+    
+    const suggestion = {
+        id,
+        merchant: pattern,
+        merchantDisplay: normalizeMerchant(pattern).display,
+        pattern,
+        patternType,
+        categoryId: categoryId || null,
+        categoryName,
+        occurrences,
+        promotionThreshold: RULE_PROMOTION_THRESHOLD,
+        // Rules that currently put this merchant somewhere else
+        conflictsWith: existingRules.map(r => ({ id: r.id, pattern: r.pattern, categoryName: r.categoryName })),
+        status: 'pending',
+        ruleId: null,
+        createdAt: company().ruleSuggestions[id]?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    const wouldFix = uncategorizedRuleMatches(suggestionCandidateRule(suggestion), qbId);
+    suggestion.wouldFix = wouldFix.length;
+    suggestion.examples = wouldFix.slice(0, 10);
+    
+    // Don't silently override an existing rule - that one needs a person
+    if (occurrences >= RULE_PROMOTION_THRESHOLD && suggestion.conflictsWith.length === 0) {
+        const rule = await learnRule(suggestionRule(suggestion), { changedBy: 'auto-promotion' });
+        suggestion.status = 'promoted';
+        suggestion.ruleId = rule.id;
+        console.log(`✓ Promoted rule "${merchant}" → ${categoryName} after ${occurrences} manual categorizations`);
+    }
+    
+    company().ruleSuggestions[id] = suggestion;
+    await saveRuleSuggestion(suggestion);
+    return suggestion;
+}
+
+// Pending suggestions, with fresh counts of what each would fix
+app.get('/api/quickbooks/rule-suggestions', (req, res) => {
+    const status = req.query.status || 'pending';
+    const suggestions = Object.values(company().ruleSuggestions)
+        .filter(s => status === 'all' || s.status === status)
+        .map(s => {
+            if (s.status !== 'pending') return s;
+            const wouldFix = uncategorizedRuleMatches(suggestionCandidateRule(s));
+            return { ...s, wouldFix: wouldFix.length, examples: wouldFix.slice(0, 10) };
+        })
+        .sort((a, b) => b.wouldFix - a.wouldFix);
+    
+    res.json({ suggestions, count: suggestions.length, promotionThreshold: RULE_PROMOTION_THRESHOLD });
+});
+
+// Accept a suggestion as a learned rule. Body may adjust pattern/patternType.
+app.post('/api/quickbooks/rule-suggestions/:id/accept', async (req, res) => {
+    try {
+        const suggestion = company().ruleSuggestions[req.params.id];
+        if (!suggestion) {
+            return res.status(404).json({ error: 'Suggestion not found' });
+        }
+        if (suggestion.status !== 'pending') {
+            return res.status(409).json({ error: `Suggestion already ${suggestion.status}`, ruleId: suggestion.ruleId });
+        }
+        
+        const candidate = ruleFromBody({
+            pattern: req.body.pattern || suggestion.pattern,
+            patternType: req.body.patternType || suggestion.patternType,
+            categoryId: suggestion.categoryId,
+            categoryName: suggestion.categoryName,
+            priority: req.body.priority
+        });
+        const validationError = validateRule(candidate);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const rule = await learnRule(candidate, { changedBy: req.body.changedBy || null });
+        suggestion.status = 'accepted';
+        suggestion.ruleId = rule.id;
+        suggestion.updatedAt = new Date().toISOString();
+        await saveRuleSuggestion(suggestion);
+        
+        res.json({
+            success: true,
+            rule,
+            wouldFix: uncategorizedRuleMatches({ ...rule, id: 'accepted' }).length,
+            rulesCount: company().learnedRules.length
+        });
+    } catch (err) {
+        console.error('Accept rule suggestion error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Stop suggesting (and auto-promoting) this merchant → category pairing
+app.post('/api/quickbooks/rule-suggestions/:id/dismiss', async (req, res) => {
+    try {
+        const suggestion = company().ruleSuggestions[req.params.id];
+        if (!suggestion) {
+            return res.status(404).json({ error: 'Suggestion not found' });
+        }
+        if (suggestion.status !== 'pending') {
+            return res.status(409).json({ error: `Suggestion already ${suggestion.status}`, ruleId: suggestion.ruleId });
+        }
+        
+        suggestion.status = 'dismissed';
+        suggestion.updatedAt = new Date().toISOString();
+        await saveRuleSuggestion(suggestion);
+        
+        res.json({ success: true, suggestion });
+    } catch (err) {
+        console.error('Dismiss rule suggestion error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== TRANSACTION OVERRIDES & FLAGS ==========
+// Per-transaction category overrides and expense flags, shared by everyone
+// using the dashboard (these used to live in each browser's localStorage).
+// Keyed by dashboard transaction id: Plaid transaction_id or QuickBooks row id.
+
+const TRANSACTION_OVERRIDES_FILE = './transaction_overrides.json';
+const FLAGGED_EXPENSES_FILE = './flagged_expenses.json';
+
+const FLAG_TYPES = ['review', 'cancel', 'negotiate', 'approved'];
+const TRANSACTION_TYPES = ['expense', 'income', 'cogs', 'transfer'];
+
+function overrideToRow(override) {
+    return {
+        transaction_id: override.transactionId,
+        category: override.category,
+        category_id: override.categoryId,
+        transaction_type: override.transactionType,
+        note: override.note,
+        override_by: override.overrideBy,
+        override_at: override.overrideAt
+    };
+}
+
+function rowToOverride(row) {
+    return {
+        transactionId: row.transaction_id,
+        category: row.category,
+        categoryId: row.category_id,
+        transactionType: row.transaction_type,
+        note: row.note,
+        overrideBy: row.override_by,
+        overrideAt: row.override_at
+    };
+}
+
+function flagToRow(flag) {
+    return {
+        transaction_id: flag.transactionId,
+        flag_type: flag.flagType,
+        note: flag.note,
+        flagged_by: flag.flaggedBy,
+        flagged_at: flag.flaggedAt,
+        resolved_at: flag.resolvedAt,
+        resolved_by: flag.resolvedBy
+    };
+}
+
+function rowToFlag(row) {
+    return {
+        transactionId: row.transaction_id,
+        flagType: row.flag_type,
+        note: row.note,
+        flaggedBy: row.flagged_by,
+        flaggedAt: row.flagged_at,
+        resolvedAt: row.resolved_at,
+        resolvedBy: row.resolved_by
+    };
+}
+
+// Load a transaction_id-keyed table - Supabase first, then the file backup
+async function loadTransactionKeyedStore(table, file, { fromRow, toRow }, label) {
+    if (supabase) {
+        try {
+            const rows = [];
+            const pageSize = 1000;
+            while (true) {
+                const { data, error } = await supabase
+                    .from(table)
+                    .select('*')
+                    .eq('company_id', company().id)
+                    .range(rows.length, rows.length + pageSize - 1);
+                
+                if (error) throw error;
+                rows.push(...data);
+                if (data.length < pageSize) break;
+            }
+            
+            if (rows.length > 0) {
+                const store = {};
+                rows.map(fromRow).forEach(entry => {
+                    store[entry.transactionId] = entry;
+                });
+                console.log(`✓ Loaded ${rows.length} ${label} from Supabase`);
+                return store;
+            }
+        } catch (err) {
+            console.log(`Supabase ${label} load error, falling back to file:`, err.message);
+        }
+    }
+    
+    try {
+        if (fs.existsSync(companyFile(file))) {
+            const store = JSON.parse(fs.readFileSync(companyFile(file), 'utf8'));
+            console.log(`✓ Loaded ${Object.keys(store).length} ${label} from file`);
+            
+            // Migrate file data to Supabase
+            if (supabase && Object.keys(store).length > 0) {
+                console.log(`  Migrating ${label} to Supabase...`);
+                const { error } = await supabase
+                    .from(table)
+                    .upsert(Object.values(store).map(entry => ({ ...toRow(entry), company_id: company().id })), { onConflict: 'company_id,transaction_id' });
+                if (error) {
+                    console.error(`Supabase ${table} migration error:`, error.message);
+                }
+            }
+            return store;
+        }
+    } catch (err) {
+        console.log(`No ${label} found`);
+    }
+    return {};
+}
+
+// Upsert (entry given) or delete one transaction's row, then back up the store to file
+async function saveTransactionKeyedEntry(table, file, store, transactionId, row) {
+    if (supabase) {
+        try {
+            // QuickBooks row ids (purchase-12-0) repeat across companies
+            const { error } = row
+                ? await supabase.from(table).upsert({ ...row, company_id: company().id }, { onConflict: 'company_id,transaction_id' })
+                : await supabase.from(table).delete().eq('company_id', company().id).eq('transaction_id', transactionId);
+            
+            if (error) {
+                console.error(`Supabase ${table} save error:`, error.message);
+            }
+        } catch (err) {
+            console.error(`Supabase ${table} save exception:`, err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        fs.writeFileSync(companyFile(file), JSON.stringify(store, null, 2));
+    } catch (err) {
+        console.error(`Error saving ${table}:`, err);
+    }
+}
+
+async function loadOverridesAndFlags() {
+    company().transactionOverrides = await loadTransactionKeyedStore('transaction_overrides', TRANSACTION_OVERRIDES_FILE,
+        { fromRow: rowToOverride, toRow: overrideToRow }, 'transaction override(s)');
+    company().flaggedExpenses = await loadTransactionKeyedStore('flagged_expenses', FLAGGED_EXPENSES_FILE,
+        { fromRow: rowToFlag, toRow: flagToRow }, 'flagged expense(s)');
+}
+
+async function saveOverride(transactionId) {
+    const override = company().transactionOverrides[transactionId];
+    await saveTransactionKeyedEntry('transaction_overrides', TRANSACTION_OVERRIDES_FILE, company().transactionOverrides,
+        transactionId, override ? overrideToRow(override) : null);
+}
+
+async function saveFlag(transactionId) {
+    const flag = company().flaggedExpenses[transactionId];
+    await saveTransactionKeyedEntry('flagged_expenses', FLAGGED_EXPENSES_FILE, company().flaggedExpenses,
+        transactionId, flag ? flagToRow(flag) : null);
+}
+
+// Categorized Plaid transaction (smartCategory/smartType) - mutated in place
+// so matched transfer pairs see the same object
+function applyPlaidOverride(txn) {
+    const override = company().transactionOverrides[txn.id];
+    if (override && !txn.splits) {
+        txn.smartCategory = override.category;
+        txn.smartCategoryId = override.categoryId || null;
+        txn.smartType = override.transactionType;
+        txn.confidence = 1.0;
+        txn.needsReview = false;
+        txn.categorySource = 'override';
+        txn.excludeFromPL = override.transactionType === 'transfer';
+        txn.override = override;
+    }
+    txn.flag = company().flaggedExpenses[txn.id] || null;
+    return txn;
+}
+
+// QuickBooks dashboard row (category/type) - mutated in place
+function applyQuickBooksOverride(txn) {
+    const override = company().transactionOverrides[txn.id];
+    if (override) {
+        txn.category = override.category;
+        txn.categoryId = override.categoryId || txn.categoryId;
+        txn.type = override.transactionType;
+        txn.needsReview = false;
+        txn.override = override;
+    }
+    txn.flag = company().flaggedExpenses[txn.id] || null;
+    return txn;
+}
+
+app.get('/api/overrides', (req, res) => {
+    const overrides = Object.values(company().transactionOverrides)
+        .sort((a, b) => (b.overrideAt || '').localeCompare(a.overrideAt || ''));
+    res.json({ overrides, count: overrides.length });
+});
+
+app.get('/api/overrides/:transactionId', (req, res) => {
+    const override = company().transactionOverrides[req.params.transactionId];
+    if (!override) {
+        return res.status(404).json({ error: 'No override for this transaction' });
+    }
+    res.json({ override });
+});
+
+// Set a transaction's category: { category, categoryId, transactionType, note, overrideBy }
+app.put('/api/overrides/:transactionId', async (req, res) => {
+    try {
+        const { transactionId } = req.params;
+        const { category, categoryId, note, overrideBy } = req.body;
+        const transactionType = req.body.transactionType || 'expense';
+        
+        if (!category) {
+            return res.status(400).json({ error: 'category required' });
+        }
+        if (!TRANSACTION_TYPES.includes(transactionType)) {
+            return res.status(400).json({ error: `transactionType must be one of ${TRANSACTION_TYPES.join(', ')}` });
+        }
+        
+        // Category before this override, for the categorization log
+        const plaidTxn = company().plaidTransactions[transactionId];
+        const qbRow = plaidTxn ? null : company().qbTransactionCache.transactions.find(t => t.id === transactionId);
+        const previous = plaidTxn
+            ? applyPlaidOverride(categorizePlaidTransaction(plaidTxn))
+            : qbRow;
+        
+        company().transactionOverrides[transactionId] = {
+            transactionId,
+            category,
+            categoryId: categoryId || null,
+            transactionType,
+            note: note || null,
+            overrideBy: overrideBy || null,
+            overrideAt: new Date().toISOString()
+        };
+        await saveOverride(transactionId);
+        
+        // A manual override is an outcome too - it settles any earlier suggestion
+        const suggestion = (await queryCategorizationLog({ transactionId, limit: 50 }))
+            .find(e => e.event === 'suggested' && (e.newCategoryId === categoryId || e.newCategory === category));
+        await logCategorizations([{
+            event: 'applied',
+            transactionId,
+            qbId: qbRow?.qbId,
+            qbType: qbRow?.qbType,
+            transactionSource: plaidTxn ? 'plaid' : 'quickbooks',
+            suggestionSource: suggestion?.suggestionSource || 'manual',
+            ruleId: suggestion?.ruleId,
+            model: suggestion?.model,
+            confidence: suggestion?.confidence,
+            reasoning: note || suggestion?.reasoning,
+            previousCategoryId: plaidTxn ? previous.smartCategoryId : previous?.categoryId,
+            previousCategory: plaidTxn ? previous.smartCategory : previous?.category,
+            newCategoryId: categoryId,
+            newCategory: category,
+            approvedBy: overrideBy,
+            merchant: plaidTxn ? previous.normalizedMerchant : previous?.normalizedMerchant
+        }]);
+        
+        console.log(`✓ Override ${transactionId} → ${category} (${transactionType})`);
+        
+        res.json({ success: true, override: company().transactionOverrides[transactionId] });
+    } catch (err) {
+        console.error('Override save error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/overrides/:transactionId', async (req, res) => {
+    try {
+        const { transactionId } = req.params;
+        if (!company().transactionOverrides[transactionId]) {
+            return res.status(404).json({ error: 'No override for this transaction' });
+        }
+        
+        delete company().transactionOverrides[transactionId];
+        await saveOverride(transactionId);
+        
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ?status=open (default) | resolved | all, ?flag_type=cancel
+app.get('/api/flags', (req, res) => {
+    const status = req.query.status || 'open';
+    const flags = Object.values(company().flaggedExpenses)
+        .filter(f => status === 'all' || (status === 'resolved' ? !!f.resolvedAt : !f.resolvedAt))
+        .filter(f => !req.query.flag_type || f.flagType === req.query.flag_type)
+        .sort((a, b) => (b.flaggedAt || '').localeCompare(a.flaggedAt || ''));
+    
+    const byType = {};
+    flags.forEach(f => {
+        byType[f.flagType] = (byType[f.flagType] || 0) + 1;
+    });
+    
+    res.json({ flags, count: flags.length, byType });
+});
+
+// Flag a transaction: { flagType: review|cancel|negotiate|approved, note, flaggedBy }
+// Re-flagging replaces the flag and reopens it.
+app.put('/api/flags/:transactionId', async (req, res) => {
+    try {
+        const { transactionId } = req.params;
+        const { flagType, note, flaggedBy } = req.body;
+        
+        if (!FLAG_TYPES.includes(flagType)) {
+            return res.status(400).json({ error: `flagType must be one of ${FLAG_TYPES.join(', ')}` });
+        }
+        
+        company().flaggedExpenses[transactionId] = {
+            transactionId,
+            flagType,
+            note: note || null,
+            flaggedBy: flaggedBy || null,
+            flaggedAt: new Date().toISOString(),
+            resolvedAt: null,
+            resolvedBy: null
+        };
+        await saveFlag(transactionId);
+        
+        console.log(`✓ Flagged ${transactionId}: ${flagType}${flaggedBy ? ` by ${flaggedBy}` : ''}`);
+        
+        // cancel/negotiate flags start a vendor action
+        const action = await openVendorActionForFlag(company().flaggedExpenses[transactionId]);
+        
+        res.json({ success: true, flag: company().flaggedExpenses[transactionId], action });
+    } catch (err) {
+        console.error('Flag save error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Mark a flag resolved: { resolvedBy, note }
+app.post('/api/flags/:transactionId/resolve', async (req, res) => {
+    try {
+        const flag = company().flaggedExpenses[req.params.transactionId];
+        if (!flag) {
+            return res.status(404).json({ error: 'Transaction is not flagged' });
+        }
+        
+        flag.resolvedAt = new Date().toISOString();
+        flag.resolvedBy = req.body.resolvedBy || null;
+        if (req.body.note) {
+            flag.note = req.body.note;
+        }
+        await saveFlag(flag.transactionId);
+        
+        res.json({ success: true, flag });
+    } catch (err) {
+        console.error('Flag resolve error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/flags/:transactionId', async (req, res) => {
+    try {
+        const { transactionId } = req.params;
+        if (!company().flaggedExpenses[transactionId]) {
+            return res.status(404).json({ error: 'Transaction is not flagged' });
+        }
+        
+        delete company().flaggedExpenses[transactionId];
+        await saveFlag(transactionId);
+        
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// One-time move of a browser's localStorage into the shared store:
+// { learnedCategories: { pattern: { category, transactionType } }, flaggedExpenses: { txnId: { type, note, flaggedBy, flaggedAt } }, importedBy }
+// Existing server data wins - nothing already stored is overwritten.
+app.post('/api/import/local-storage', async (req, res) => {
+    try {
+        const importedBy = req.body.importedBy || null;
+        const result = { rulesCreated: 0, flagsImported: 0, skipped: 0 };
+        
+        for (const [pattern, learned] of Object.entries(req.body.learnedCategories || {})) {
+            const candidate = ruleFromBody({
+                pattern,
+                categoryName: learned.category,
+                transactionType: learned.transactionType
+            });
+            if (validateRule(candidate) || company().learnedRules.some(r => ruleScopeKey(r) === ruleScopeKey(candidate))) {
+                result.skipped++;
+                continue;
+            }
+            await learnRule(candidate, { changedBy: learned.learnedBy || importedBy });
+            result.rulesCreated++;
+        }
+        
+        for (const [transactionId, flag] of Object.entries(req.body.flaggedExpenses || {})) {
+            if (company().flaggedExpenses[transactionId] || !FLAG_TYPES.includes(flag.type)) {
+                result.skipped++;
+                continue;
+            }
+            company().flaggedExpenses[transactionId] = {
+                transactionId,
+                flagType: flag.type,
+                note: flag.note || null,
+                flaggedBy: flag.flaggedBy || importedBy,
+                flaggedAt: flag.flaggedAt || new Date().toISOString(),
+                resolvedAt: null,
+                resolvedBy: null
+            };
+            await saveFlag(transactionId);
+            result.flagsImported++;
+        }
+        
+        console.log(`✓ Imported localStorage: ${result.rulesCreated} rules, ${result.flagsImported} flags`);
+        
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('localStorage import error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== VENDOR ACTIONS (COST CUTTING) ==========
+// A cancel/negotiate flag opens a vendor action with a baseline monthly spend
+// from transaction history. Actions move open → contacted → cancelled or
+// negotiated → verified, and realized savings are the baseline minus what the
+// merchant actually cost in each full month after the action took effect.
+
+const VENDOR_ACTIONS_FILE = './vendor_actions.json';
+const VENDOR_ACTION_BASELINE_MONTHS = 3;
+
+const VENDOR_ACTION_TRANSITIONS = {
+    open: ['contacted', 'cancelled', 'negotiated', 'dropped'],
+    contacted: ['cancelled', 'negotiated', 'dropped'],
+    cancelled: ['verified', 'open'],
+    negotiated: ['verified', 'open'],
+    verified: [],
+    dropped: ['open']
+};
+
+function actionToRow(action) {
+    return {
+        id: action.id,
+        company_id: company().id,
+        merchant: action.merchant,
+        transaction_id: action.transactionId,
+        flag_type: action.flagType,
+        status: action.status,
+        baseline_monthly: action.baselineMonthly,
+        baseline_start: action.baselineStart,
+        baseline_end: action.baselineEnd,
+        spend_source: action.spendSource,
+        expected_monthly: action.expectedMonthly,
+        effective_date: action.effectiveDate,
+        note: action.note,
+        history: action.history,
+        created_by: action.createdBy,
+        created_at: action.createdAt,
+        updated_at: action.updatedAt,
+        verified_at: action.verifiedAt
+    };
+}
+
+function rowToAction(row) {
+    return {
+        id: row.id,
+        merchant: row.merchant,
+        merchantDisplay: normalizeMerchant(row.merchant).display,
+        transactionId: row.transaction_id,
+        flagType: row.flag_type,
+        status: row.status,
+        baselineMonthly: row.baseline_monthly != null ? Number(row.baseline_monthly) : 0,
+        baselineStart: row.baseline_start,
+        baselineEnd: row.baseline_end,
+        spendSource: row.spend_source,
+        expectedMonthly: row.expected_monthly != null ? Number(row.expected_monthly) : null,
+        effectiveDate: row.effective_date,
+        note: row.note,
+        history: row.history || [],
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        verifiedAt: row.verified_at
+    };
+}
+
+async function loadVendorActions() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('vendor_actions')
+                .select('*')
+                .eq('company_id', company().id);
+            
+            if (error) {
+                console.log('Supabase vendor action load error, falling back to file:', error.message);
+            } else if (data && data.length > 0) {
+                company().vendorActions = {};
+                data.map(rowToAction).forEach(action => {
+                    company().vendorActions[action.id] = action;
+                });
+                console.log(`✓ Loaded ${data.length} vendor action(s) from Supabase`);
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase vendor action load exception:', err.message);
+        }
+    }
+    
+    // Fallback to file
+    try {
+        if (fs.existsSync(companyFile(VENDOR_ACTIONS_FILE))) {
+            company().vendorActions = JSON.parse(fs.readFileSync(companyFile(VENDOR_ACTIONS_FILE), 'utf8'));
+            console.log(`✓ Loaded ${Object.keys(company().vendorActions).length} vendor action(s) from file`);
+            
+            // Migrate file data to Supabase
+            if (supabase && Object.keys(company().vendorActions).length > 0) {
+                const { error } = await supabase
+                    .from('vendor_actions')
+                    .upsert(Object.values(company().vendorActions).map(actionToRow), { onConflict: 'id' });
+                if (error) {
+                    console.error('Supabase vendor action migration error:', error.message);
+                }
+            }
+        }
+    } catch (err) {
+        console.log('No vendor actions found');
+    }
+}
+
+async function saveVendorAction(action) {
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('vendor_actions')
+                .upsert(actionToRow(action), { onConflict: 'id' });
+            
+            if (error) {
+                console.error('Supabase vendor action save error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase vendor action save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        fs.writeFileSync(companyFile(VENDOR_ACTIONS_FILE), JSON.stringify(company().vendorActions, null, 2));
+    } catch (err) {
+        console.error('Error saving vendor actions:', err);
+    }
+}
+
+function monthKey(date) {
+    return String(date).slice(0, 7);
+}
+
+// Real calendar date in YYYY-MM-DD form (rejects 2026-02-30)
+function isValidIsoDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+function addMonths(month, count) {
+    const [year, mon] = month.split('-').map(Number);
+    const d = new Date(Date.UTC(year, mon - 1 + count, 1));
+    return d.toISOString().slice(0, 7);
+}
+
+// Monthly spend for a canonical merchant. Bank charges also show up in
+// QuickBooks, so use one source: Plaid when it has the merchant, else QuickBooks.
+function merchantMonthlySpend(merchant) {
+    const plaid = getCategorizedPlaidTransactions().transactions
+        .filter(t => t.normalizedMerchant === merchant && t.amount > 0 && !t.excludeFromPL)
+        .map(t => ({ date: t.date, amount: t.amount }));
+    
+    const quickbooks = company().qbTransactionCache.transactions
+        .filter(t => t.normalizedMerchant === merchant && t.type === 'expense' && t.amount < 0)
+        .map(t => ({ date: t.date, amount: Math.abs(t.amount) }));
+    
+    const source = plaid.length > 0 ? 'plaid' : 'quickbooks';
+    const months = {};
+    (source === 'plaid' ? plaid : quickbooks).forEach(t => {
+        const month = monthKey(t.date);
+        months[month] = (months[month] || 0) + t.amount;
+    });
+    
+    return { source, months };
+}
+
+// Average over the full months before the action was opened; months with no
+// charges count as zero
+function vendorBaseline(merchant, openedAt) {
+    const { source, months } = merchantMonthlySpend(merchant);
+    const baselineEnd = addMonths(monthKey(openedAt), -1);
+    const baselineStart = addMonths(baselineEnd, -(VENDOR_ACTION_BASELINE_MONTHS - 1));
+    
+    let total = 0;
+    for (let m = baselineStart; m <= baselineEnd; m = addMonths(m, 1)) {
+        total += months[m] || 0;
+    }
+    
+    return {
+        baselineMonthly: Math.round(total / VENDOR_ACTION_BASELINE_MONTHS * 100) / 100,
+        baselineStart,
+        baselineEnd,
+        spendSource: source
+    };
+}
+
+// Realized savings per full month after the effective date, up to last month
+function vendorActionSavings(action) {
+    // Cancelled: expectedMonthly is 0; still open: nothing negotiated yet
+    const projectedMonthly = Math.max(0, action.baselineMonthly - (action.expectedMonthly || 0));
+    
+    // Dates saved before effectiveDate was validated are treated as missing
+    if (!isValidIsoDate(action.effectiveDate) || !['cancelled', 'negotiated', 'verified'].includes(action.status)) {
+        return { projectedMonthly, projectedAnnual: projectedMonthly * 12, realized: 0, months: [] };
+    }
+    
+    const { months } = merchantMonthlySpend(action.merchant);
+    const lastFullMonth = addMonths(monthKey(new Date().toISOString()), -1);
+    const rows = [];
+    
+    for (let m = addMonths(monthKey(action.effectiveDate), 1); m <= lastFullMonth; m = addMonths(m, 1)) {
+        const actual = Math.round((months[m] || 0) * 100) / 100;
+        rows.push({
+            month: m,
+            baseline: action.baselineMonthly,
+            actual,
+            savings: Math.round((action.baselineMonthly - actual) * 100) / 100
+        });
+    }
+    
+    return {
+        projectedMonthly,
+        projectedAnnual: projectedMonthly * 12,
+        realized: Math.round(rows.reduce((sum, r) => sum + r.savings, 0) * 100) / 100,
+        months: rows
+    };
+}
+
+function merchantForTransaction(transactionId) {
+    const plaidTxn = getCategorizedPlaidTransactions().transactions.find(t => t.id === transactionId);
+    if (plaidTxn) return plaidTxn.normalizedMerchant;
+    
+    return company().qbTransactionCache.transactions.find(t => t.id === transactionId)?.normalizedMerchant || null;
+}
+
+// One active action per merchant - returns the existing one if there is one
+async function openVendorAction({ merchant, transactionId = null, flagType, note = null, createdBy = null }) {
+    const active = Object.values(company().vendorActions).find(a =>
+        a.merchant === merchant && !['verified', 'dropped'].includes(a.status)
+    );
+    if (active) {
+        return active;
+    }
+    
+    const now = new Date().toISOString();
+    const action = {
+        id: `action-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        merchant,
+        merchantDisplay: normalizeMerchant(merchant).display,
+        transactionId,
+        flagType,
+        status: 'open',
+        ...vendorBaseline(merchant, now),
+        expectedMonthly: null,
+        effectiveDate: null,
+        note,
+        history: [{ status: 'open', at: now, by: createdBy, note }],
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        verifiedAt: null
+    };
+    
+    company().vendorActions[action.id] = action;
+    await saveVendorAction(action);
+    
+    console.log(`✓ Opened ${flagType} action for ${action.merchantDisplay} (baseline $${action.baselineMonthly.toFixed(2)}/mo)`);
+    return action;
+}
+
+// Opened from PUT /api/flags for cancel/negotiate flags
+async function openVendorActionForFlag(flag) {
+    if (!['cancel', 'negotiate'].includes(flag.flagType)) {
+        return null;
+    }
+    
+    const merchant = merchantForTransaction(flag.transactionId);
+    if (!merchant) {
+        return null;
+    }
+    
+    return openVendorAction({
+        merchant,
+        transactionId: flag.transactionId,
+        flagType: flag.flagType,
+        note: flag.note,
+        createdBy: flag.flaggedBy
+    });
+}
+
+function vendorActionWithSavings(action) {
+    return { ...action, savings: vendorActionSavings(action) };
+}
+
+// ?status=open|contacted|... (default: all)
+app.get('/api/vendor-actions', (req, res) => {
+    const actions = Object.values(company().vendorActions)
+        .filter(a => !req.query.status || a.status === req.query.status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(vendorActionWithSavings);
+    
+    res.json({ actions, count: actions.length });
+});
+
+// Open an action directly: { transactionId } or { merchant }, plus flagType, note, createdBy
+app.post('/api/vendor-actions', async (req, res) => {
+    try {
+        const { transactionId, note, createdBy } = req.body;
+        const flagType = req.body.flagType || 'cancel';
+        
+        if (!['cancel', 'negotiate'].includes(flagType)) {
+            return res.status(400).json({ error: 'flagType must be cancel or negotiate' });
+        }
+        
+        const merchant = req.body.merchant
+            ? normalizeMerchant(req.body.merchant).canonical
+            : merchantForTransaction(transactionId);
+        if (!merchant) {
+            return res.status(400).json({ error: 'merchant or a known transactionId required' });
+        }
+        
+        const action = await openVendorAction({ merchant, transactionId, flagType, note, createdBy });
+        res.json({ success: true, action: vendorActionWithSavings(action) });
+    } catch (err) {
+        console.error('Vendor action error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Realized savings by month across all actions: ?start=2025-01&end=2025-12
+app.get('/api/vendor-actions/savings', (req, res) => {
+    const byMonth = {};
+    const pipeline = {};
+    let projectedAnnual = 0;
+    
+    Object.values(company().vendorActions).forEach(action => {
+        pipeline[action.status] = (pipeline[action.status] || 0) + 1;
+        
+        const savings = vendorActionSavings(action);
+        if (['cancelled', 'negotiated', 'verified'].includes(action.status)) {
+            projectedAnnual += savings.projectedAnnual;
+        }
+        
+        savings.months
+            .filter(m => (!req.query.start || m.month >= req.query.start) && (!req.query.end || m.month <= req.query.end))
+            .forEach(m => {
+                byMonth[m.month] = byMonth[m.month] || { month: m.month, realized: 0, verified: 0, actions: [] };
+                byMonth[m.month].realized += m.savings;
+                if (action.status === 'verified') {
+                    byMonth[m.month].verified += m.savings;
+                }
+                byMonth[m.month].actions.push({ id: action.id, merchant: action.merchantDisplay, status: action.status, savings: m.savings });
+            });
+    });
+    
+    const months = Object.values(byMonth)
+        .map(m => ({ ...m, realized: Math.round(m.realized * 100) / 100, verified: Math.round(m.verified * 100) / 100 }))
+        .sort((a, b) => a.month.localeCompare(b.month));
+    
+    res.json({
+        months,
+        totalRealized: Math.round(months.reduce((sum, m) => sum + m.realized, 0) * 100) / 100,
+        totalVerified: Math.round(months.reduce((sum, m) => sum + m.verified, 0) * 100) / 100,
+        projectedAnnual: Math.round(projectedAnnual * 100) / 100,
+        pipeline
+    });
+});
+
+app.get('/api/vendor-actions/:id', (req, res) => {
+    const action = company().vendorActions[req.params.id];
+    if (!action) {
+        return res.status(404).json({ error: 'Vendor action not found' });
+    }
+    
+    res.json({
+        action: vendorActionWithSavings(action),
+        monthlySpend: merchantMonthlySpend(action.merchant)
+    });
+});
+
+// Move an action along: { status, note, by, effectiveDate, expectedMonthly }
+// effectiveDate defaults to today when cancelling/negotiating; expectedMonthly
+// is the new negotiated price.
+app.post('/api/vendor-actions/:id/status', async (req, res) => {
+    try {
+        const action = company().vendorActions[req.params.id];
+        if (!action) {
+            return res.status(404).json({ error: 'Vendor action not found' });
+        }
+        
+        const { status, note, by } = req.body;
+        const allowed = VENDOR_ACTION_TRANSITIONS[action.status] || [];
+        if (!allowed.includes(status)) {
+            return res.status(400).json({
+                error: `Cannot move from ${action.status} to ${status}`,
+                allowed
+            });
+        }
+        
+        const { effectiveDate, expectedMonthly } = req.body;
+        if (effectiveDate != null && !isValidIsoDate(effectiveDate)) {
+            return res.status(400).json({ error: 'effectiveDate must be a YYYY-MM-DD date' });
+        }
+        if (expectedMonthly != null && !(Number.isFinite(Number(expectedMonthly)) && Number(expectedMonthly) >= 0)) {
+            return res.status(400).json({ error: 'expectedMonthly must be a non-negative number' });
+        }
+        
+        const now = new Date().toISOString();
+        
+        if (status === 'cancelled' || status === 'negotiated') {
+            action.effectiveDate = effectiveDate || now.slice(0, 10);
+            action.expectedMonthly = status === 'negotiated' && expectedMonthly != null
+                ? Number(expectedMonthly)
+                : (status === 'cancelled' ? 0 : action.expectedMonthly);
+        }
+        if (status === 'open') {
+            action.effectiveDate = null;
+            action.expectedMonthly = null;
+        }
+        if (status === 'verified') {
+            action.verifiedAt = now;
+            
+            // Verifying the saving closes the flag that started it
+            const flag = company().flaggedExpenses[action.transactionId];
+            if (flag && !flag.resolvedAt) {
+                flag.resolvedAt = now;
+                flag.resolvedBy = by || null;
+                await saveFlag(flag.transactionId);
+            }
+        }
+        
+        action.status = status;
+        action.updatedAt = now;
+        action.history.push({ status, at: now, by: by || null, note: note || null });
+        await saveVendorAction(action);
+        
+        console.log(`✓ Vendor action ${action.merchantDisplay}: ${status}`);
+        
+        res.json({ success: true, action: vendorActionWithSavings(action) });
+    } catch (err) {
+        console.error('Vendor action status error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== QUICKBOOKS SYNC CACHE (CDC) ==========
+// Raw QuickBooks entities are cached (Supabase qb_entity_cache, file fallback)
+// and kept current with the Change Data Capture endpoint, which returns only
+// what changed - deletions included - since the last sync. A full re-pull
+// happens on first run, on a company change, when the last sync is older
+// than CDC's 30-day window, or when asked for.
+
+const QB_CACHE_FILE = './qb_cache.json';
+const QB_SYNC_ENTITIES = ['Purchase', 'Bill', 'JournalEntry', 'VendorCredit', 'SalesReceipt', 'Payment', 'Deposit', 'RefundReceipt'];
+const QB_REFERENCE_ENTITIES = ['Account', 'Vendor', 'Item'];
+const CDC_MAX_LOOKBACK_DAYS = 29;
+// CDC caps each entity at 1000 changes - more than that needs a full re-pull
+const CDC_MAX_RESULTS = 1000;
+const QB_SYNC_MIN_INTERVAL_MS = parseInt(process.env.QB_SYNC_MIN_INTERVAL_MS) || 60 * 1000;
+
+function qbEntityRow(type, record) {
+    return {
+        realm_id: company().qbEntityCache.realmId,
+        entity_type: type,
+        qb_id: record.Id,
+        txn_date: record.TxnDate || null,
+        data: record,
+        updated_at: new Date().toISOString()
+    };
+}
+
+async function loadQuickBooksCache() {
+    if (!company().tokens.realm_id) return;
+    
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data: state, error: stateError } = await supabase
+                .from('qb_sync_state')
+                .select('*')
+                .eq('realm_id', company().tokens.realm_id)
+                .maybeSingle();
+            if (stateError) throw stateError;
+            
+            if (state) {
+                const rows = [];
+                const pageSize = 1000;
+                while (true) {
+                    const { data, error } = await supabase
+                        .from('qb_entity_cache')
+                        .select('entity_type, qb_id, data')
+                        .eq('realm_id', company().tokens.realm_id)
+                        .range(rows.length, rows.length + pageSize - 1);
+                    
+                    if (error) throw error;
+                    rows.push(...data);
+                    if (data.length < pageSize) break;
+                }
+                
+                const entities = {};
+                rows.forEach(row => {
+                    entities[row.entity_type] = entities[row.entity_type] || {};
+                    entities[row.entity_type][row.qb_id] = row.data;
+                });
+                
+                company().qbEntityCache = {
+                    realmId: state.realm_id,
+                    entities,
+                    lastSyncedAt: state.last_synced_at,
+                    lastFullSyncAt: state.last_full_sync_at,
+                    plReport: state.pl_report,
+                    plRange: state.pl_range
+                };
+                console.log(`✓ Loaded ${rows.length} cached QuickBooks record(s) from Supabase`);
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase QuickBooks cache load error, falling back to file:', err.message);
+        }
+    }
+    
+    try {
+        if (fs.existsSync(companyFile(QB_CACHE_FILE))) {
+            const cache = JSON.parse(fs.readFileSync(companyFile(QB_CACHE_FILE), 'utf8'));
+            if (cache.realmId !== company().tokens.realm_id) return;
+            
+            company().qbEntityCache = cache;
+            const count = Object.values(cache.entities).reduce((sum, byId) => sum + Object.keys(byId).length, 0);
+            console.log(`✓ Loaded ${count} cached QuickBooks record(s) from file`);
+            
+            // Migrate file data to Supabase
+            if (supabase && count > 0) {
+                console.log('  Migrating QuickBooks cache to Supabase...');
+                await saveQuickBooksCache({ full: true });
+            }
+        }
+    } catch (err) {
+        console.log('No QuickBooks cache found');
+    }
+}
+
+// full: replace every row for the company; otherwise write just the changes.
+// A full save drops the sync state first and stale rows last, so one that
+// fails partway leaves no CDC timestamp and the next start re-pulls everything.
+async function saveQuickBooksCache({ full = false, upserts = [], deletes = [] }) {
+    if (supabase) {
+        try {
+            const realmId = company().qbEntityCache.realmId;
+            const savedAt = new Date().toISOString();
+            let rows = upserts.map(({ type, record }) => qbEntityRow(type, record));
+            
+            if (full) {
+                const { error } = await supabase.from('qb_sync_state').delete().eq('realm_id', realmId);
+                if (error) throw error;
+                rows = Object.entries(company().qbEntityCache.entities).flatMap(([type, byId]) =>
+                    Object.values(byId).map(record => qbEntityRow(type, record))
+                );
+            }
+            
+            for (let i = 0; i < rows.length; i += 500) {
+                const { error } = await supabase
+                    .from('qb_entity_cache')
+                    .upsert(rows.slice(i, i + 500), { onConflict: 'realm_id,entity_type,qb_id' });
+                if (error) throw error;
+            }
+            
+            // Every current row was just rewritten - anything older is gone from QuickBooks
+            if (full) {
+                const { error } = await supabase
+                    .from('qb_entity_cache')
+                    .delete()
+                    .eq('realm_id', realmId)
+                    .lt('updated_at', savedAt);
+                if (error) throw error;
+            }
+            
+            for (const { type, id } of deletes) {
+                const { error } = await supabase
+                    .from('qb_entity_cache')
+                    .delete()
+                    .eq('realm_id', realmId)
+                    .eq('entity_type', type)
+                    .eq('qb_id', id);
+                if (error) throw error;
+            }
+            
+            const { error } = await supabase
+                .from('qb_sync_state')
+                .upsert({
+                    realm_id: realmId,
+                    last_synced_at: company().qbEntityCache.lastSyncedAt,
+                    last_full_sync_at: company().qbEntityCache.lastFullSyncAt,
+                    pl_report: company().qbEntityCache.plReport,
+                    pl_range: company().qbEntityCache.plRange,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'realm_id' });
+            if (error) throw error;
+        } catch (err) {
+            console.error('Supabase QuickBooks cache save error:', err.message);
+        }
+    }
+    
+    // Always save to file as backup (compact - this one gets large)
+    try {
+        fs.writeFileSync(companyFile(QB_CACHE_FILE), JSON.stringify(company().qbEntityCache));
+    } catch (err) {
+        console.error('Error saving QuickBooks cache:', err);
+    }
+}
+
+// Changed entities since `since`, or null when CDC truncated a list
+async function fetchQuickBooksChanges(since) {
+    const entities = [...QB_SYNC_ENTITIES, ...QB_REFERENCE_ENTITIES];
+    const result = await qbApiCall(
+        `/cdc?entities=${entities.join(',')}&changedSince=${encodeURIComponent(since)}`
+    );
+    
+    const changes = [];
+    for (const response of result.CDCResponse?.[0]?.QueryResponse || []) {
+        for (const type of entities) {
+            const records = response[type];
+            if (!records) continue;
+            if (records.length >= CDC_MAX_RESULTS) return null;
+            
+            records.forEach(record => changes.push({
+                type,
+                record,
+                deleted: record.status === 'Deleted'
+            }));
+        }
+    }
+    return changes;
+}
+
+async function fullQuickBooksSync(startDate) {
+    const entities = {};
+    
+    for (const type of QB_SYNC_ENTITIES) {
+        console.log(`  → Fetching ALL ${type} records (paginated)...`);
+        // No upper bound - future-dated entries come into range without changing
+        const records = await fetchAllRecords(type, `TxnDate >= '${startDate}'`);
+        console.log(`     Found ${records.length}`);
+        entities[type] = Object.fromEntries(records.map(r => [r.Id, r]));
+    }
+    
+    for (const type of QB_REFERENCE_ENTITIES) {
+        console.log(`  → Fetching ${type} records...`);
+        const records = await fetchAllRecords(type);
+        entities[type] = Object.fromEntries(records.map(r => [r.Id, r]));
+    }
+    
+    return entities;
+}
+
+// Bring the cache up to date and return records in [startDate, endDate].
+// force skips the minimum interval between CDC calls; full re-pulls everything.
+async function syncQuickBooksCache(options) {
+    const { full = false, force = false } = options;
+    const inFlight = company().qbSyncInFlight;
+    
+    // A running sync answers this call too, unless this one asks for more
+    // (a full re-pull, or a forced CDC call) - then run again once it's done
+    if (inFlight && (inFlight.full || !full) && (inFlight.full || inFlight.force || !force)) {
+        return inFlight.promise;
+    }
+    
+    const previous = inFlight ? inFlight.promise.catch(() => {}) : Promise.resolve();
+    const run = { full, force };
+    run.promise = previous.then(() => runQuickBooksSync(options)).finally(() => {
+        if (company().qbSyncInFlight === run) {
+            company().qbSyncInFlight = null;
+        }
+    });
+    company().qbSyncInFlight = run;
+    return run.promise;
+}
+
+async function runQuickBooksSync({ startDate, endDate, full = false, force = false }) {
+    // Taken before the calls so changes made during the sync are picked up next time
+    const syncStartedAt = new Date().toISOString();
+    const lastSynced = company().qbEntityCache.lastSyncedAt ? Date.parse(company().qbEntityCache.lastSyncedAt) : 0;
+    
+    let fullReason = null;
+    if (full) fullReason = 'requested';
+    else if (!lastSynced) fullReason = 'no cache';
+    else if (company().qbEntityCache.realmId !== company().tokens.realm_id) fullReason = 'company changed';
+    else if (lastSynced < Date.now() - CDC_MAX_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) fullReason = 'last sync older than the CDC window';
+    
+    const sync = { mode: 'cached', reason: null, changes: 0, deleted: 0 };
+    const upserts = [];
+    const deletes = [];
+    
+    if (!fullReason && (force || Date.now() - lastSynced >= QB_SYNC_MIN_INTERVAL_MS)) {
+        const changes = await fetchQuickBooksChanges(company().qbEntityCache.lastSyncedAt);
+        
+        if (changes === null) {
+            fullReason = 'too many changes for CDC';
+        } else {
+            sync.mode = 'incremental';
+            changes.forEach(({ type, record, deleted }) => {
+                const byId = company().qbEntityCache.entities[type] = company().qbEntityCache.entities[type] || {};
+                if (deleted || (record.TxnDate && record.TxnDate < startDate)) {
+                    if (byId[record.Id]) {
+                        delete byId[record.Id];
+                        deletes.push({ type, id: record.Id });
+                    }
+                    if (deleted) sync.deleted++;
+                } else {
+                    byId[record.Id] = record;
+                    upserts.push({ type, record });
+                }
+            });
+            sync.changes = changes.length;
+            company().qbEntityCache.lastSyncedAt = syncStartedAt;
+            console.log(`  → CDC: ${changes.length} change(s) since ${new Date(lastSynced).toISOString()}`);
+        }
+    }
+    
+    if (fullReason) {
+        console.log(`  → Full QuickBooks sync (${fullReason})`);
+        company().qbEntityCache = {
+            realmId: company().tokens.realm_id,
+            entities: await fullQuickBooksSync(startDate),
+            lastSyncedAt: syncStartedAt,
+            lastFullSyncAt: syncStartedAt,
+            plReport: null,
+            plRange: null
+        };
+        sync.mode = 'full';
+        sync.reason = fullReason;
+    }
+    
+    // Drop records the two-year window has moved past
+    QB_SYNC_ENTITIES.forEach(type => {
+        const byId = company().qbEntityCache.entities[type] || {};
+        Object.values(byId).forEach(record => {
+            if (record.TxnDate < startDate) {
+                delete byId[record.Id];
+                deletes.push({ type, id: record.Id });
+            }
+        });
+    });
+    
+    // The P&L report only changes with the data or the date range
+    const plRange = `${startDate}..${endDate}`;
+    const plChanged = !company().qbEntityCache.plReport || company().qbEntityCache.plRange !== plRange || sync.changes > 0 || sync.mode === 'full';
+    if (plChanged) {
+        company().qbEntityCache.plReport = await qbApiCall(
+            `/reports/ProfitAndLoss?start_date=${startDate}&end_date=${endDate}&summarize_column_by=Month`
+        );
+        company().qbEntityCache.plRange = plRange;
+    }
+    
+    if (sync.mode === 'full') {
+        await saveQuickBooksCache({ full: true });
+    } else if (sync.mode === 'incremental' || deletes.length || plChanged) {
+        await saveQuickBooksCache({ upserts, deletes });
+    }
+    
+    const records = {};
+    QB_SYNC_ENTITIES.forEach(type => {
+        records[type] = Object.values(company().qbEntityCache.entities[type] || {})
+            .filter(r => r.TxnDate >= startDate && r.TxnDate <= endDate);
+    });
+    QB_REFERENCE_ENTITIES.forEach(type => {
+        records[type] = Object.values(company().qbEntityCache.entities[type] || {});
+    });
+    
+    return {
+        records,
+        plReport: company().qbEntityCache.plReport,
+        sync: {
+            ...sync,
+            lastSyncedAt: company().qbEntityCache.lastSyncedAt,
+            lastFullSyncAt: company().qbEntityCache.lastFullSyncAt
+        }
+    };
+}
+
+// Our own writes go straight into the cache so a rebuild before the next
+// CDC call doesn't show the old version. CDC persists them on its next run.
+function cacheQuickBooksEntity(type, record) {
+    if (!record?.Id || company().qbEntityCache.realmId !== company().tokens.realm_id || !QB_SYNC_ENTITIES.includes(type)) return;
+    company().qbEntityCache.entities[type] = company().qbEntityCache.entities[type] || {};
+    company().qbEntityCache.entities[type][record.Id] = record;
+}
+
+app.get('/api/quickbooks/sync-status', (req, res) => {
+    const counts = {};
+    Object.entries(company().qbEntityCache.entities).forEach(([type, byId]) => {
+        counts[type] = Object.keys(byId).length;
+    });
+    
+    res.json({
+        realmId: company().qbEntityCache.realmId,
+        lastSyncedAt: company().qbEntityCache.lastSyncedAt,
+        lastFullSyncAt: company().qbEntityCache.lastFullSyncAt,
+        plRange: company().qbEntityCache.plRange,
+        minIntervalMs: QB_SYNC_MIN_INTERVAL_MS,
+        syncing: !!company().qbSyncInFlight,
+        counts
+    });
+});
+
+// ========== MAIN DATA FETCH (with uncategorized detection) ==========
+
+app.get('/api/quickbooks/data', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        // Within QB_SYNC_MIN_INTERVAL_MS this is served straight from the cache
+        const data = await fetchFinancialData({ full: req.query.full === 'true' });
+        res.json(data);
+    } catch (err) {
+        console.error('Data fetch error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/quickbooks/refresh', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const full = req.body?.full === true || req.query.full === 'true';
+        const data = await fetchFinancialData({ force: true, full });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// options.force skips the minimum interval between CDC calls,
+// options.full re-pulls everything from QuickBooks
+async function fetchFinancialData(options = {}) {
+    const now = new Date();
+    const twoYearsAgo = new Date(now.getFullYear() - 2, 0, 1);
+    const endDate = now.toISOString().split('T')[0];
+    const startDate = twoYearsAgo.toISOString().split('T')[0];
+
+    console.log(`\n📊 Fetching QuickBooks data from ${startDate} to ${endDate}`);
+
+    const { records, plReport, sync } = await syncQuickBooksCache({ startDate, endDate, ...options });
+
+    const purchaseRecords = records.Purchase;
+    const billRecords = records.Bill;
+    const journalEntryRecords = records.JournalEntry;
+    const vendorCreditRecords = records.VendorCredit;
+    const salesReceiptRecords = records.SalesReceipt;
+    const paymentRecords = records.Payment;
+    const depositRecords = records.Deposit;
+    const refundReceiptRecords = records.RefundReceipt;
+    const accountRecords = records.Account;
+    const vendorRecords = records.Vendor;
+    const itemRecords = records.Item;
+
+    // Build lookup maps
+    const itemIncomeAccounts = {};
+    itemRecords.forEach(item => {
+        if (item.IncomeAccountRef) {
+            itemIncomeAccounts[item.Id] = item.IncomeAccountRef;
+        }
+    });
+
+    const vendorMap = {};
+    vendorRecords.forEach(v => {
+        vendorMap[v.Id] = v.DisplayName || v.CompanyName || 'Unknown Vendor';
+    });
+
+    const accountMap = {};
+    accountRecords.forEach(a => {
+        accountMap[a.Id] = {
+            name: a.Name,
+            type: a.AccountType,
+            subType: a.AccountSubType,
+            fullName: a.FullyQualifiedName || a.Name
+        };
+    });
+
+    // Track uncategorized transactions
+    const uncategorizedKeywords = ['uncategorized', 'ask my accountant', 'undeposited'];
+    const isUncategorized = (categoryName) => {
+        if (!categoryName) return true;
+        const lower = categoryName.toLowerCase();
+        return uncategorizedKeywords.some(kw => lower.includes(kw));
+    };
+
+    const transactions = [];
+    const needsReview = [];
+
+    // Process Purchases
+    purchaseRecords.forEach(p => {
+        const vendorName = p.EntityRef?.name || vendorMap[p.EntityRef?.value] || '';
+        const memo = p.PrivateNote || '';
+        const paymentType = p.PaymentType || 'Unknown';
+        
         const lineDetails = (p.Line || []).map(line => {
             if (line.AccountBasedExpenseLineDetail) {
                 const acctId = line.AccountBasedExpenseLineDetail.AccountRef?.value;
                 const acctName = line.AccountBasedExpenseLineDetail.AccountRef?.name || accountMap[acctId]?.name || '';
                 return {
-                    description: line.Description || acctName,
-                    category: acctName,
-                    categoryId: acctId,
+                    description: line.Description || acctName,
+                    category: acctName,
+                    categoryId: acctId,
+                    amount: line.Amount
+                };
+            }
+            if (line.ItemBasedExpenseLineDetail) {
+                return {
+                    description: line.Description || line.ItemBasedExpenseLineDetail.ItemRef?.name || '',
+                    category: 'Items',
+                    categoryId: null,
+                    amount: line.Amount
+                };
+            }
+            return null;
+        }).filter(Boolean);
+
+        if (lineDetails.length > 0) {
+            lineDetails.forEach((line, idx) => {
+                const txn = {
+                    id: `purchase-${p.Id}-${idx}`,
+                    qbId: p.Id,
+                    qbType: 'Purchase',
+                    date: p.TxnDate,
+                    description: line.description || vendorName || memo || 'Purchase',
+                    vendor: vendorName,
+                    category: line.category || 'Uncategorized',
+                    categoryId: line.categoryId,
+                    amount: -Math.abs(line.amount),
+                    type: 'expense',
+                    paymentType: paymentType,
+                    source: 'Purchase',
+                    needsReview: isUncategorized(line.category)
+                };
+                
+                transactions.push(txn);
+                
+                if (txn.needsReview) {
+                    needsReview.push(txn);
+                }
+            });
+        } else {
+            const txn = {
+                id: `purchase-${p.Id}`,
+                qbId: p.Id,
+                qbType: 'Purchase',
+                date: p.TxnDate,
+                description: vendorName || memo || 'Purchase',
+                vendor: vendorName,
+                category: 'Uncategorized',
+                categoryId: null,
+                amount: -Math.abs(p.TotalAmt),
+                type: 'expense',
+                paymentType: paymentType,
+                source: 'Purchase',
+                needsReview: true
+            };
+            
+            transactions.push(txn);
+            needsReview.push(txn);
+        }
+    });
+
+    // Process Bills
+    billRecords.forEach(b => {
+        const vendorName = b.VendorRef?.name || vendorMap[b.VendorRef?.value] || '';
+        const memo = b.PrivateNote || '';
+
+        const lineDetails = (b.Line || []).map(line => {
+            if (line.AccountBasedExpenseLineDetail) {
+                const acctId = line.AccountBasedExpenseLineDetail.AccountRef?.value;
+                const acctName = line.AccountBasedExpenseLineDetail.AccountRef?.name || '';
+                return {
+                    description: line.Description || acctName,
+                    category: acctName,
+                    categoryId: acctId,
+                    amount: line.Amount
+                };
+            }
+            return null;
+        }).filter(Boolean);
+
+        if (lineDetails.length > 0) {
+            lineDetails.forEach((line, idx) => {
+                const txn = {
+                    id: `bill-${b.Id}-${idx}`,
+                    qbId: b.Id,
+                    qbType: 'Bill',
+                    date: b.TxnDate,
+                    description: line.description || vendorName || memo || 'Bill',
+                    vendor: vendorName,
+                    category: line.category || 'Uncategorized',
+                    categoryId: line.categoryId,
+                    amount: -Math.abs(line.amount),
+                    type: 'expense',
+                    source: 'Bill',
+                    needsReview: isUncategorized(line.category)
+                };
+                
+                transactions.push(txn);
+                if (txn.needsReview) needsReview.push(txn);
+            });
+        }
+    });
+
+    // Process Journal Entries
+    journalEntryRecords.forEach(je => {
+        const memo = je.PrivateNote || je.DocNumber || '';
+        
+        (je.Line || []).forEach((line, idx) => {
+            if (line.JournalEntryLineDetail) {
+                const acctRef = line.JournalEntryLineDetail.AccountRef;
+                const acctName = acctRef?.name || accountMap[acctRef?.value]?.name || 'Journal Entry';
+                const acctType = accountMap[acctRef?.value]?.type || '';
+                const postingType = line.JournalEntryLineDetail.PostingType;
+                const amount = line.Amount || 0;
+                
+                if (amount === 0) return;
+                
+                let txnType = 'expense';
+                let txnAmount = -Math.abs(amount);
+                
+                if (acctType === 'Expense' || acctType === 'Cost of Goods Sold' || acctType === 'Other Expense') {
+                    if (postingType === 'Debit') {
+                        txnType = 'expense';
+                        txnAmount = -Math.abs(amount);
+                    } else {
+                        txnType = 'expense';
+                        txnAmount = Math.abs(amount);
+                    }
+                } else if (acctType === 'Income' || acctType === 'Other Income') {
+                    if (postingType === 'Credit') {
+                        txnType = 'income';
+                        txnAmount = Math.abs(amount);
+                    } else {
+                        txnType = 'income';
+                        txnAmount = -Math.abs(amount);
+                    }
+                } else if (['Other Current Liability', 'Long Term Liability', 'Bank', 'Other Current Asset', 'Fixed Asset'].includes(acctType)) {
+                    return;
+                } else {
+                    if (postingType === 'Debit') {
+                        txnType = 'expense';
+                        txnAmount = -Math.abs(amount);
+                    } else {
+                        return;
+                    }
+                }
+                
+                const isPayroll = 
+                    acctName.toLowerCase().includes('payroll') ||
+                    acctName.toLowerCase().includes('wage') ||
+                    acctName.toLowerCase().includes('salary') ||
+                    acctName.toLowerCase().includes('paychex') ||
+                    memo.toLowerCase().includes('payroll') ||
+                    memo.toLowerCase().includes('paychex');
+                
+                transactions.push({
+                    id: `journal-${je.Id}-${idx}`,
+                    qbId: je.Id,
+                    qbType: 'JournalEntry',
+                    date: je.TxnDate,
+                    description: line.Description || memo || acctName,
+                    vendor: '',
+                    category: isPayroll ? 'Payroll Expenses' : acctName,
+                    amount: txnAmount,
+                    type: txnType,
+                    source: 'JournalEntry',
+                    isPayroll: isPayroll,
+                    needsReview: false
+                });
+            }
+        });
+    });
+
+    // Process Deposits
+    depositRecords.forEach(d => {
+        const lineDetails = (d.Line || []).map(line => {
+            if (line.DepositLineDetail) {
+                // Deposited customer payments come from Undeposited Funds - already revenue elsewhere
+                const linked = (line.LinkedTxn || []).length > 0;
+                const accountRef = line.DepositLineDetail.AccountRef;
+                return {
+                    description: line.DepositLineDetail.Entity?.name || line.Description || 'Deposit',
+                    customer: line.DepositLineDetail.Entity?.name || '',
+                    category: linked ? 'Customer Payments' : (accountRef?.name || 'Uncategorized Income'),
+                    categoryId: linked ? null : (accountRef?.value || null),
+                    linked,
                     amount: line.Amount
                 };
             }
-            if (line.ItemBasedExpenseLineDetail) {
-                return {
-                    description: line.Description || line.ItemBasedExpenseLineDetail.ItemRef?.name || '',
-                    category: 'Items',
-                    categoryId: null,
-                    amount: line.Amount
-                };
+            return null;
+        }).filter(Boolean);
+
+        if (lineDetails.length > 0) {
+            lineDetails.forEach((line, idx) => {
+                const txn = {
+                    id: `deposit-${d.Id}-${idx}`,
+                    qbId: d.Id,
+                    qbType: 'Deposit',
+                    date: d.TxnDate,
+                    description: line.description,
+                    customer: line.customer,
+                    category: line.category,
+                    categoryId: line.categoryId,
+                    amount: Math.abs(line.amount),
+                    // The Payment was already counted as income - the deposit just moves it to the bank
+                    type: line.linked ? 'transfer' : 'income',
+                    excludeFromPL: line.linked,
+                    source: 'Deposit',
+                    needsReview: !line.linked && isUncategorized(line.category)
+                };
+                
+                transactions.push(txn);
+                
+                if (txn.needsReview) {
+                    needsReview.push(txn);
+                }
+            });
+        } else {
+            transactions.push({
+                id: `deposit-${d.Id}`,
+                qbId: d.Id,
+                qbType: 'Deposit',
+                date: d.TxnDate,
+                description: d.PrivateNote || 'Bank Deposit',
+                category: 'Income',
+                amount: Math.abs(d.TotalAmt),
+                type: 'income',
+                source: 'Deposit',
+                needsReview: false
+            });
+        }
+    });
+
+    // Process other income types...
+    salesReceiptRecords.forEach(sr => {
+        // Break revenue out by each line's income account (setup fee, subscription, ...)
+        const salesLines = (sr.Line || []).filter(line => line.SalesItemLineDetail);
+        if (salesLines.length > 0) {
+            salesLines.forEach((line, idx) => {
+                const itemRef = line.SalesItemLineDetail.ItemRef || {};
+                const incomeAccount = itemIncomeAccounts[itemRef.value];
+                transactions.push({
+                    id: `salesreceipt-${sr.Id}-${idx}`,
+                    qbId: sr.Id,
+                    qbType: 'SalesReceipt',
+                    date: sr.TxnDate,
+                    description: line.Description || itemRef.name || (sr.CustomerRef?.name ? `Payment - ${sr.CustomerRef.name}` : 'Sales Receipt'),
+                    customer: sr.CustomerRef?.name || '',
+                    item: itemRef.name || '',
+                    category: incomeAccount?.name || itemRef.name || 'Income',
+                    categoryId: incomeAccount?.value || null,
+                    amount: Math.abs(line.Amount),
+                    type: 'income',
+                    source: 'SalesReceipt',
+                    needsReview: false
+                });
+            });
+            return;
+        }
+        
+        transactions.push({
+            id: `salesreceipt-${sr.Id}`,
+            qbId: sr.Id,
+            qbType: 'SalesReceipt',
+            date: sr.TxnDate,
+            description: sr.CustomerRef?.name ? `Payment - ${sr.CustomerRef.name}` : 'Sales Receipt',
+            customer: sr.CustomerRef?.name || '',
+            category: 'Income',
+            amount: Math.abs(sr.TotalAmt),
+            type: 'income',
+            source: 'SalesReceipt',
+            needsReview: false
+        });
+    });
+
+    paymentRecords.forEach(p => {
+        transactions.push({
+            id: `payment-${p.Id}`,
+            qbId: p.Id,
+            qbType: 'Payment',
+            date: p.TxnDate,
+            description: p.CustomerRef?.name ? `Payment - ${p.CustomerRef.name}` : 'Payment Received',
+            customer: p.CustomerRef?.name || '',
+            category: 'Income',
+            amount: Math.abs(p.TotalAmt),
+            type: 'income',
+            source: 'Payment',
+            needsReview: false
+        });
+    });
+
+    refundReceiptRecords.forEach(rr => {
+        transactions.push({
+            id: `refund-${rr.Id}`,
+            qbId: rr.Id,
+            qbType: 'RefundReceipt',
+            date: rr.TxnDate,
+            description: `Refund to ${rr.CustomerRef?.name || 'Customer'}`,
+            customer: rr.CustomerRef?.name || '',
+            category: 'Refunds',
+            // Refunds reduce revenue
+            amount: -Math.abs(rr.TotalAmt),
+            type: 'income',
+            source: 'RefundReceipt',
+            needsReview: false
+        });
+    });
+
+    vendorCreditRecords.forEach(vc => {
+        transactions.push({
+            id: `vendorcredit-${vc.Id}`,
+            qbId: vc.Id,
+            qbType: 'VendorCredit',
+            date: vc.TxnDate,
+            description: `Credit from ${vc.VendorRef?.name || 'Vendor'}`,
+            vendor: vc.VendorRef?.name || '',
+            category: 'Vendor Credits',
+            amount: Math.abs(vc.TotalAmt),
+            type: 'expense',
+            source: 'VendorCredit',
+            needsReview: false
+        });
+    });
+
+    transactions.forEach(t => {
+        t.normalizedMerchant = transactionMerchant(t.description, t.vendor);
+        applyQuickBooksOverride(t);
+    });
+    
+    // Overridden rows no longer need review
+    needsReview.splice(0, needsReview.length, ...needsReview.filter(t => t.needsReview));
+
+    // Sort by date descending
+    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    needsReview.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Parse P&L for monthly summaries
+    const monthlyData = parseMonthlyPL(plReport);
+    const profitAndLoss = parseProfitAndLoss(plReport, 'Month');
+
+    // Calculate category totals - rows overridden to COGS still count as spend
+    const isSpend = t => t.type === 'expense' || t.type === 'cogs';
+    const categoryTotals = {};
+    transactions.filter(isSpend).forEach(t => {
+        const cat = t.category || 'Uncategorized';
+        categoryTotals[cat] = (categoryTotals[cat] || 0) + Math.abs(t.amount);
+    });
+
+    const categories = Object.entries(categoryTotals)
+        .map(([name, amount]) => ({ name, amount }))
+        .sort((a, b) => b.amount - a.amount);
+
+    // Revenue by income category; refunds and chargebacks are negative
+    const revenueTotals = {};
+    transactions.filter(t => t.type === 'income').forEach(t => {
+        const cat = t.category || 'Income';
+        revenueTotals[cat] = (revenueTotals[cat] || 0) + t.amount;
+    });
+
+    const revenueCategories = Object.entries(revenueTotals)
+        .map(([name, amount]) => ({ name, amount }))
+        .sort((a, b) => b.amount - a.amount);
+
+    const totalExpenses = transactions
+        .filter(isSpend)
+        .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+
+    // Already included in totalExpenses
+    const totalCogs = transactions
+        .filter(t => t.type === 'cogs')
+        .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+
+    const totalIncome = transactions
+        .filter(t => t.type === 'income')
+        .reduce((sum, t) => sum + t.amount, 0);
+
+    const sourceCounts = {};
+    transactions.forEach(t => {
+        sourceCounts[t.source] = (sourceCounts[t.source] || 0) + 1;
+    });
+
+    company().qbTransactionCache = {
+        transactions,
+        lastFetched: Date.now()
+    };
+
+    console.log(`\n✓ Fetched ${transactions.length} total transactions`);
+    console.log(`  ${needsReview.length} need review`);
+
+    // The statistical categorizer is only kept in a local file - after a
+    // redeploy, train it on this data instead of waiting for a retrain call
+    if (!company().statisticalModel?.totalDocs) {
+        try {
+            retrainStatisticalModel();
+        } catch (err) {
+            console.error('Statistical categorizer training error:', err.message);
+        }
+    }
+
+    return {
+        summary: {
+            totalIncome,
+            totalExpenses,
+            totalCogs,
+            netProfit: totalIncome - totalExpenses,
+            transactionCount: transactions.length,
+            needsReviewCount: needsReview.length
+        },
+        monthlyData,
+        profitAndLoss,
+        categories,
+        revenueCategories,
+        transactions,
+        needsReview,
+        expenses: categoryTotals,
+        timestamp: Date.now(),
+        sync,
+        debug: {
+            realm_id: company().tokens.realm_id,
+            date_range: `${startDate} to ${endDate}`,
+            purchase_count: purchaseRecords.length,
+            bill_count: billRecords.length,
+            journal_entry_count: journalEntryRecords.length,
+            salesreceipt_count: salesReceiptRecords.length,
+            payment_count: paymentRecords.length,
+            deposit_count: depositRecords.length,
+            refund_count: refundReceiptRecords.length,
+            item_count: itemRecords.length,
+            vendor_credit_count: vendorCreditRecords.length,
+            needs_review_count: needsReview.length,
+            sources: sourceCounts
+        }
+    };
+}
+
+// ========== FINANCIAL REPORTS ==========
+// QuickBooks reports come back as a tree of Section/Data rows with one
+// ColData cell per column. Columns are keyed by their real period
+// (2024-01, 2024-Q1, 2024, or total) so multi-year ranges don't collide.
+
+const REPORT_SUMMARIZE_BY = ['Month', 'Quarter', 'Year', 'Total'];
+const REPORT_ACCOUNTING_METHODS = ['Accrual', 'Cash'];
+const REPORT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ProfitAndLoss section group → totals key
+const PL_GROUPS = {
+    Income: 'income',
+    COGS: 'cogs',
+    GrossProfit: 'grossProfit',
+    Expenses: 'expenses',
+    NetOperatingIncome: 'netOperatingIncome',
+    OtherIncome: 'otherIncome',
+    OtherExpenses: 'otherExpenses',
+    NetOtherIncome: 'netOtherIncome',
+    NetIncome: 'netIncome'
+};
+
+const BALANCE_SHEET_GROUPS = {
+    TotalAssets: 'assets',
+    CurrentAssets: 'currentAssets',
+    BankAccounts: 'bankAccounts',
+    AR: 'accountsReceivable',
+    OtherCurrentAssets: 'otherCurrentAssets',
+    FixedAssets: 'fixedAssets',
+    OtherAssets: 'otherAssets',
+    Liabilities: 'liabilities',
+    CurrentLiabilities: 'currentLiabilities',
+    AP: 'accountsPayable',
+    CreditCards: 'creditCards',
+    OtherCurrentLiabilities: 'otherCurrentLiabilities',
+    LongTermLiabilities: 'longTermLiabilities',
+    Equity: 'equity',
+    TotalLiabilitiesAndEquity: 'liabilitiesAndEquity'
+};
+
+const CASH_FLOW_GROUPS = {
+    OperatingActivities: 'operating',
+    OperatingAdjustments: 'operatingAdjustments',
+    InvestingActivities: 'investing',
+    FinancingActivities: 'financing',
+    CashIncrease: 'netCashChange',
+    BeginningCash: 'beginningCash',
+    EndingCash: 'endingCash'
+};
+
+function reportColumnKey(startDate, summarizeBy) {
+    const [year, month] = startDate.split('-');
+    if (summarizeBy === 'Month') return `${year}-${month}`;
+    if (summarizeBy === 'Quarter') return `${year}-Q${Math.ceil(Number(month) / 3)}`;
+    if (summarizeBy === 'Year') return year;
+    return 'total';
+}
+
+function parseReportColumns(report, summarizeBy) {
+    // The first column holds row labels
+    return (report?.Columns?.Column || []).slice(1).map(col => {
+        const meta = {};
+        (col.MetaData || []).forEach(m => {
+            meta[m.Name] = m.Value;
+        });
+        
+        return {
+            // The trailing Total column carries no dates
+            key: meta.StartDate ? reportColumnKey(meta.StartDate, summarizeBy) : 'total',
+            title: col.ColTitle || 'Total',
+            startDate: meta.StartDate || null,
+            endDate: meta.EndDate || null
+        };
+    });
+}
+
+function reportValues(colData, columns) {
+    const values = {};
+    columns.forEach((col, idx) => {
+        values[col.key] = parseFloat(colData?.[idx + 1]?.value) || 0;
+    });
+    return values;
+}
+
+// Rows → [{ id, name, group, values, totals, children }]. values are the
+// row's own amounts (a parent account's postings sit on its header), totals
+// include everything underneath.
+function parseReportRows(rows, columns) {
+    return (rows || []).map(row => {
+        if (row.ColData) {
+            const cell = row.ColData[0] || {};
+            const values = reportValues(row.ColData, columns);
+            return { id: cell.id || null, name: cell.value || '', group: null, values, totals: values, children: [] };
+        }
+        
+        const header = row.Header?.ColData?.[0] || {};
+        const summary = row.Summary ? reportValues(row.Summary.ColData, columns) : null;
+        return {
+            id: header.id || null,
+            name: header.value || row.Summary?.ColData?.[0]?.value || row.group || '',
+            group: row.group || null,
+            values: row.Header ? reportValues(row.Header.ColData, columns) : summary,
+            totals: summary,
+            children: parseReportRows(row.Rows?.Row, columns)
+        };
+    }).filter(node => node.name || node.children.length);
+}
+
+function reportHeader(report, summarizeBy) {
+    return {
+        name: report?.Header?.ReportName || null,
+        startDate: report?.Header?.StartPeriod || null,
+        endDate: report?.Header?.EndPeriod || null,
+        accountingMethod: report?.Header?.ReportBasis || null,
+        currency: report?.Header?.Currency || null,
+        summarizeBy
+    };
+}
+
+function parseProfitAndLoss(report, summarizeBy = 'Month') {
+    const columns = parseReportColumns(report, summarizeBy);
+    const sections = parseReportRows(report?.Rows?.Row, columns);
+    
+    const found = {};
+    sections.forEach(section => {
+        const key = PL_GROUPS[section.group];
+        if (key && section.totals) found[key] = section.totals;
+    });
+    
+    // QuickBooks leaves out sections with nothing in them
+    const totals = {};
+    const derive = (key, fn) => {
+        totals[key] = found[key] || Object.fromEntries(columns.map(col => [col.key, Math.round(fn(col.key) * 100) / 100]));
+    };
+    ['income', 'cogs', 'expenses', 'otherIncome', 'otherExpenses'].forEach(key => derive(key, () => 0));
+    derive('grossProfit', k => totals.income[k] - totals.cogs[k]);
+    derive('netOperatingIncome', k => totals.grossProfit[k] - totals.expenses[k]);
+    derive('netOtherIncome', k => totals.otherIncome[k] - totals.otherExpenses[k]);
+    derive('netIncome', k => totals.netOperatingIncome[k] + totals.netOtherIncome[k]);
+    
+    const periods = columns.filter(col => col.key !== 'total').map(col => {
+        const period = { key: col.key, label: col.title, startDate: col.startDate, endDate: col.endDate };
+        Object.entries(totals).forEach(([key, values]) => {
+            period[key] = values[col.key];
+        });
+        return period;
+    });
+    
+    return { header: reportHeader(report, summarizeBy), columns, sections, totals, periods };
+}
+
+function parseMonthlyPL(report) {
+    return parseProfitAndLoss(report, 'Month').periods.map(p => ({
+        month: p.key,
+        label: p.label,
+        revenue: p.income,
+        cogs: p.cogs,
+        grossProfit: p.grossProfit,
+        expenses: p.expenses,
+        otherIncome: p.otherIncome,
+        otherExpenses: p.otherExpenses,
+        profit: p.netIncome
+    }));
+}
+
+// Totals for the mapped section groups anywhere in the tree; missing ones are zero
+function reportGroupTotals(sections, columns, groups) {
+    const totals = {};
+    Object.values(groups).forEach(key => {
+        totals[key] = Object.fromEntries(columns.map(col => [col.key, 0]));
+    });
+    
+    const visit = nodes => nodes.forEach(node => {
+        const key = groups[node.group];
+        if (key && node.totals) totals[key] = node.totals;
+        visit(node.children);
+    });
+    visit(sections);
+    
+    return totals;
+}
+
+function parseBalanceSheet(report, summarizeBy = 'Total') {
+    const columns = parseReportColumns(report, summarizeBy);
+    const sections = parseReportRows(report?.Rows?.Row, columns);
+    return {
+        header: reportHeader(report, summarizeBy),
+        columns,
+        sections,
+        totals: reportGroupTotals(sections, columns, BALANCE_SHEET_GROUPS)
+    };
+}
+
+function parseCashFlow(report, summarizeBy = 'Total') {
+    const columns = parseReportColumns(report, summarizeBy);
+    const sections = parseReportRows(report?.Rows?.Row, columns);
+    return {
+        header: reportHeader(report, summarizeBy),
+        columns,
+        sections,
+        totals: reportGroupTotals(sections, columns, CASH_FLOW_GROUPS)
+    };
+}
+
+// Same day of month `months` later, clamped to the month's end (Mar 31 - 1 → Feb 28)
+function shiftReportDate(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().split('T')[0];
+}
+
+// Shared query handling for report endpoints: { error } or the validated range
+function reportQuery(query, defaults = {}) {
+    const today = new Date().toISOString().split('T')[0];
+    const endDate = query.end_date || today;
+    const startDate = query.start_date || `${endDate.slice(0, 4)}-01-01`;
+    const summarizeBy = query.summarize_column_by || defaults.summarizeBy || 'Month';
+    const accountingMethod = query.accounting_method || 'Accrual';
+    
+    if (!REPORT_DATE_PATTERN.test(startDate) || !REPORT_DATE_PATTERN.test(endDate)) {
+        return { error: 'start_date and end_date must be YYYY-MM-DD' };
+    }
+    if (startDate > endDate) {
+        return { error: 'start_date must be on or before end_date' };
+    }
+    if (!REPORT_SUMMARIZE_BY.includes(summarizeBy)) {
+        return { error: `summarize_column_by must be one of ${REPORT_SUMMARIZE_BY.join(', ')}` };
+    }
+    if (!REPORT_ACCOUNTING_METHODS.includes(accountingMethod)) {
+        return { error: `accounting_method must be one of ${REPORT_ACCOUNTING_METHODS.join(', ')}` };
+    }
+    
+    return { startDate, endDate, summarizeBy, accountingMethod };
+}
+
+// Range to compare against: compare=previous_period|previous_month|previous_quarter|previous_year,
+// or an explicit compare_start_date/compare_end_date. null when none asked for.
+function reportComparison(query, range) {
+    if (query.compare_start_date || query.compare_end_date) {
+        // Without a start date the comparison runs from January 1 of its end year
+        return reportQuery({
+            ...query,
+            start_date: query.compare_start_date,
+            end_date: query.compare_end_date || range.endDate,
+            summarize_column_by: range.summarizeBy
+        });
+    }
+    if (!query.compare) return null;
+    
+    const shift = { previous_month: 1, previous_quarter: 3, previous_year: 12 }[query.compare];
+    if (shift) {
+        return {
+            ...range,
+            startDate: shiftReportDate(range.startDate, -shift),
+            endDate: shiftReportDate(range.endDate, -shift)
+        };
+    }
+    if (query.compare === 'previous_period') {
+        // Same number of days, ending the day before this range starts
+        const day = 24 * 60 * 60 * 1000;
+        const length = Date.parse(range.endDate) - Date.parse(range.startDate);
+        const endDate = new Date(Date.parse(range.startDate) - day).toISOString().split('T')[0];
+        const startDate = new Date(Date.parse(endDate) - length).toISOString().split('T')[0];
+        return { ...range, startDate, endDate };
+    }
+    return { error: 'compare must be one of previous_period, previous_month, previous_quarter, previous_year' };
+}
+
+async function fetchReport(name, { startDate, endDate, summarizeBy, accountingMethod }) {
+    return qbApiCall(
+        `/reports/${name}?start_date=${startDate}&end_date=${endDate}&summarize_column_by=${summarizeBy}&accounting_method=${accountingMethod}`
+    );
+}
+
+// Fetch, parse and (optionally) compare one report for a request
+async function reportResponse(query, res, name, parse, defaults) {
+    if (!company().tokens.access_token) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    
+    const range = reportQuery(query, defaults);
+    const comparisonRange = range.error ? null : reportComparison(query, range);
+    const error = range.error || comparisonRange?.error;
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const result = parse(await fetchReport(name, range), range.summarizeBy);
+    if (!comparisonRange) {
+        return res.json(result);
+    }
+    
+    const comparison = parse(await fetchReport(name, comparisonRange), comparisonRange.summarizeBy);
+    
+    // Change between the last column of each - the as-of balance or the period total
+    const lastKey = report => report.columns[report.columns.length - 1]?.key;
+    const variance = {};
+    Object.keys(result.totals).forEach(key => {
+        const current = result.totals[key][lastKey(result)] || 0;
+        const previous = comparison.totals[key]?.[lastKey(comparison)] || 0;
+        variance[key] = {
+            current,
+            comparison: previous,
+            change: Math.round((current - previous) * 100) / 100,
+            percentChange: previous ? Math.round((current - previous) / Math.abs(previous) * 1000) / 10 : null
+        };
+    });
+    
+    res.json({ ...result, comparison, variance });
+}
+
+// ?start_date&end_date&summarize_column_by=Month|Quarter|Year|Total&accounting_method=Accrual|Cash
+// plus compare=previous_period|previous_month|previous_quarter|previous_year
+// or compare_start_date/compare_end_date
+app.get('/api/quickbooks/reports/profit-and-loss', async (req, res) => {
+    try {
+        await reportResponse(req.query, res, 'ProfitAndLoss', parseProfitAndLoss, { summarizeBy: 'Month' });
+    } catch (err) {
+        console.error('Profit and loss report error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Balances as of ?as_of (default today). Same options as profit-and-loss;
+// summarize_column_by=Month gives month-end balances from start_date.
+app.get('/api/quickbooks/reports/balance-sheet', async (req, res) => {
+    try {
+        const query = { ...req.query, end_date: req.query.as_of || req.query.end_date };
+        if (req.query.compare_as_of) {
+            query.compare_end_date = req.query.compare_as_of;
+        }
+        await reportResponse(query, res, 'BalanceSheet', parseBalanceSheet, { summarizeBy: 'Total' });
+    } catch (err) {
+        console.error('Balance sheet report error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Statement of cash flows for ?start_date&end_date (default year to date)
+app.get('/api/quickbooks/reports/cash-flow', async (req, res) => {
+    try {
+        await reportResponse(req.query, res, 'CashFlow', parseCashFlow, { summarizeBy: 'Total' });
+    } catch (err) {
+        console.error('Cash flow report error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== COMPANY ENDPOINTS ==========
+
+function companySummary({ id, name, createdAt }) {
+    const state = companyStates[id];
+    return {
+        id,
+        name,
+        createdAt,
+        isDefault: id === DEFAULT_COMPANY_ID,
+        quickbooks: {
+            connected: !!state.tokens.access_token,
+            realmId: state.tokens.realm_id
+        },
+        plaidItems: state.plaidAccounts.length,
+        rules: state.learnedRules.length
+    };
+}
+
+// Sum rows that share a key, adding up every numeric field
+function sumByKey(rows, keyOf) {
+    const merged = {};
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!merged[key]) {
+            merged[key] = { ...row };
+            return;
+        }
+        Object.entries(row).forEach(([field, value]) => {
+            if (typeof value === 'number') {
+                merged[key][field] = (merged[key][field] || 0) + value;
+            }
+        });
+    });
+    return Object.values(merged);
+}
+
+app.get('/api/companies', (req, res) => {
+    res.json({ companies: companies.map(companySummary), current: company().id });
+});
+
+// { id, name } - id is a lowercase slug (wealthpath), used in X-Company-Id
+app.post('/api/companies', async (req, res) => {
+    try {
+        const { id, name } = req.body;
+        
+        if (!COMPANY_ID_PATTERN.test(id || '')) {
+            return res.status(400).json({ error: 'id must be 2-40 lowercase letters, digits or dashes' });
+        }
+        if (!name) {
+            return res.status(400).json({ error: 'name required' });
+        }
+        if (companyStates[id]) {
+            return res.status(409).json({ error: `Company ${id} already exists` });
+        }
+        
+        const created = { id, name, createdAt: new Date().toISOString() };
+        companies.push(created);
+        companyStates[id] = createCompanyState(id);
+        await saveCompanies();
+        await runForCompany(id, loadCompanyData);
+        
+        console.log(`✓ Added company ${name} (${id})`);
+        
+        res.json({ success: true, company: companySummary(created) });
+    } catch (err) {
+        console.error('Create company error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/companies/:id', async (req, res) => {
+    try {
+        const target = companies.find(c => c.id === req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        if (!req.body.name) {
+            return res.status(400).json({ error: 'name required' });
+        }
+        
+        target.name = req.body.name;
+        await saveCompanies();
+        
+        res.json({ success: true, company: companySummary(target) });
+    } catch (err) {
+        console.error('Update company error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Combined QuickBooks financials and Plaid P&L across companies
+// (?companies=default,wealthpath - all by default), with each company's own figures
+app.get('/api/companies/consolidated', async (req, res) => {
+    try {
+        const ids = req.query.companies ? req.query.companies.split(',') : companies.map(c => c.id);
+        const unknown = ids.filter(id => !companyStates[id]);
+        if (unknown.length) {
+            return res.status(404).json({ error: `Unknown company: ${unknown.join(', ')}` });
+        }
+        
+        const results = [];
+        for (const id of ids) {
+            const result = { id, name: companies.find(c => c.id === id).name, quickbooks: null, plaid: null, error: null };
+            try {
+                await runForCompany(id, async () => {
+                    if (company().tokens.access_token) {
+                        const data = await fetchFinancialData();
+                        result.quickbooks = {
+                            summary: data.summary,
+                            monthlyData: data.monthlyData,
+                            categories: data.categories,
+                            revenueCategories: data.revenueCategories
+                        };
+                    }
+                    if (Object.keys(company().plaidTransactions).length > 0) {
+                        result.plaid = plaidProfitAndLoss(getCategorizedPlaidTransactions().transactions);
+                    }
+                });
+            } catch (err) {
+                console.error(`Consolidated view error (${id}):`, err.message);
+                result.error = err.message;
+            }
+            results.push(result);
+        }
+        
+        const qb = results.filter(r => r.quickbooks).map(r => r.quickbooks);
+        const plaid = results.filter(r => r.plaid).map(r => r.plaid);
+        
+        const summary = { totalIncome: 0, totalExpenses: 0, totalCogs: 0, netProfit: 0, transactionCount: 0, needsReviewCount: 0 };
+        qb.forEach(q => {
+            Object.keys(summary).forEach(field => {
+                summary[field] += q.summary[field] || 0;
+            });
+        });
+        
+        const plaidTotals = { income: 0, expenses: 0, cogs: 0, net: 0 };
+        plaid.forEach(p => {
+            Object.keys(plaidTotals).forEach(field => {
+                plaidTotals[field] += p[field];
+            });
+        });
+        
+        res.json({
+            companies: results,
+            consolidated: {
+                quickbooks: {
+                    summary,
+                    monthlyData: sumByKey(qb.flatMap(q => q.monthlyData), m => m.month)
+                        .sort((a, b) => a.month.localeCompare(b.month)),
+                    categories: sumByKey(qb.flatMap(q => q.categories), c => c.name)
+                        .sort((a, b) => b.amount - a.amount),
+                    revenueCategories: sumByKey(qb.flatMap(q => q.revenueCategories), c => c.name)
+                        .sort((a, b) => b.amount - a.amount)
+                },
+                plaid: {
+                    ...plaidTotals,
+                    byCategory: sumByKey(plaid.flatMap(p => p.byCategory), c => `${c.type}|${c.category}`)
+                        .sort((a, b) => b.amount - a.amount)
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Consolidated view error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ========== HEALTH CHECK ==========
+
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        connected: !!company().tokens.access_token,
+        aiEnabled: !!anthropic,
+        rulesLoaded: company().learnedRules.length,
+        plaidEnabled: !!process.env.PLAID_CLIENT_ID
+    });
+});
+
+app.get('/', (req, res) => {
+    res.json({ 
+        name: 'ASAP Financial Dashboard Backend v5 (AI + Plaid)',
+        status: 'running',
+        connected: !!company().tokens.access_token,
+        aiEnabled: !!anthropic,
+        plaidEnabled: !!process.env.PLAID_CLIENT_ID,
+        learnedRules: company().learnedRules.length,
+        endpoints: [
+            'GET  /api/quickbooks/auth',
+            'GET  /api/quickbooks/callback', 
+            'GET  /api/quickbooks/status',
+            'GET  /api/quickbooks/data',
+            'GET  /api/quickbooks/categories',
+            'GET  /api/quickbooks/rules',
+            'GET  /api/quickbooks/rules/conflicts',
+            'GET  /api/quickbooks/rules/:id/history',
+            'POST /api/quickbooks/rules/:id/rollback',
+            'POST /api/quickbooks/refresh',
+            'GET  /api/quickbooks/sync-status',
+            'GET  /api/quickbooks/reports/profit-and-loss',
+            'GET  /api/quickbooks/reports/balance-sheet',
+            'GET  /api/quickbooks/reports/cash-flow',
+            'POST /api/quickbooks/categorize',
+            'POST /api/quickbooks/categorize-batch',
+            'GET  /api/quickbooks/categorize-batch/:jobId',
+            'POST /api/quickbooks/statistical/retrain',
+            'GET  /api/quickbooks/statistical/report',
+            'GET  /api/quickbooks/audit/transaction/:id',
+            'GET  /api/quickbooks/audit/category/:category',
+            'GET  /api/quickbooks/audit/accuracy',
+            'POST /api/quickbooks/audit/outcome',
+            'POST /api/quickbooks/update-transaction',
+            'POST /api/quickbooks/update-transaction/bulk',
+            'POST /api/quickbooks/split-transaction',
+            'POST /api/quickbooks/learn-rule',
+            'POST /api/quickbooks/rules/preview',
+            'GET  /api/quickbooks/rule-suggestions',
+            'POST /api/quickbooks/rule-suggestions/:id/accept',
+            'POST /api/quickbooks/rule-suggestions/:id/dismiss',
+            'POST /api/quickbooks/disconnect',
+            '--- COMPANIES (scope any endpoint with X-Company-Id or ?company=) ---',
+            'GET  /api/companies',
+            'POST /api/companies',
+            'PUT  /api/companies/:id',
+            'GET  /api/companies/consolidated',
+            '--- OVERRIDES, FLAGS & VENDOR ACTIONS ---',
+            'GET  /api/overrides',
+            'GET  /api/overrides/:transactionId',
+            'PUT  /api/overrides/:transactionId',
+            'DELETE /api/overrides/:transactionId',
+            'GET  /api/flags',
+            'PUT  /api/flags/:transactionId',
+            'POST /api/flags/:transactionId/resolve',
+            'DELETE /api/flags/:transactionId',
+            'POST /api/import/local-storage',
+            'GET  /api/vendor-actions',
+            'POST /api/vendor-actions',
+            'GET  /api/vendor-actions/savings',
+            'GET  /api/vendor-actions/:id',
+            'POST /api/vendor-actions/:id/status',
+            '--- MERCHANT ENDPOINTS ---',
+            'GET  /api/merchants/aliases',
+            'POST /api/merchants/aliases',
+            'DELETE /api/merchants/aliases/:alias',
+            'POST /api/merchants/normalize',
+            'GET  /api/merchants/summary',
+            '--- PLAID ENDPOINTS ---',
+            'POST /api/plaid/create-link-token',
+            'POST /api/plaid/update-link-token',
+            'POST /api/plaid/update-complete',
+            'POST /api/plaid/exchange-token',
+            'GET  /api/plaid/accounts',
+            'GET  /api/plaid/transactions',
+            'PUT  /api/plaid/transactions/:id/splits',
+            'DELETE /api/plaid/transactions/:id/splits',
+            'GET  /api/plaid/category-rules',
+            'GET  /api/plaid/transfers',
+            'POST /api/plaid/sync',
+            'POST /api/plaid/webhook',
+            'POST /api/plaid/map-account',
+            'GET  /api/plaid/posting/accounts',
+            'POST /api/plaid/posting/preview',
+            'POST /api/plaid/posting/post',
+            'GET  /api/plaid/posting/status',
+            'POST /api/plaid/disconnect'
+        ]
+    });
+});
+
+// ========== PLAID INTEGRATION ==========
+
+const PLAID_CLIENT_ID = process.env.PLAID_CLIENT_ID;
+const PLAID_SECRET = process.env.PLAID_SECRET;
+const PLAID_ENV = process.env.PLAID_ENV || 'sandbox'; // sandbox, development, production
+const PLAID_BASE_URL = PLAID_ENV === 'production' 
+    ? 'https://production.plaid.com'
+    : PLAID_ENV === 'development'
+        ? 'https://development.plaid.com'
+        : 'https://sandbox.plaid.com';
+const PLAID_WEBHOOK_URL = process.env.PLAID_WEBHOOK_URL || 'https://asap-financial-dashboard-backend-production-b444.up.railway.app/api/plaid/webhook';
+
+// Plaid's end-user id - the default company keeps the id its items were linked with
+function plaidClientUserId() {
+    return company().id === DEFAULT_COMPANY_ID ? 'asap-playbook-user' : `${company().id}-user`;
+}
+
+// Store connected accounts - Supabase with file fallback
+const PLAID_TOKENS_FILE = './plaid_tokens.json';
+
+async function loadPlaidTokens() {
+    // Try Supabase first - without a key tokens are kept out of it
+    if (supabase && tokenKeys.current) {
+        try {
+            const { data, error } = await supabase
+                .from('plaid_connections')
+                .select('*')
+                .eq('company_id', company().id)
+                .order('connected_at', { ascending: false });
+            
+            if (error) {
+                console.log('Supabase load error, falling back to file:', error.message);
+            } else if (data && data.length > 0) {
+                company().plaidAccounts = data.map(row => ({
+                    id: row.id,
+                    access_token: decryptToken(row.access_token),
+                    item_id: row.item_id,
+                    institution_id: row.institution_id,
+                    institution_name: row.institution_name,
+                    accounts: row.accounts || [],
+                    excluded_accounts: row.excluded_accounts || [],
+                    qb_account_map: row.qb_account_map || {},
+                    connected_at: row.connected_at,
+                    last_synced: row.last_synced,
+                    cursor: row.cursor || null,
+                    health: row.health || 'healthy',
+                    health_error: row.health_error || null,
+                    consent_expiration_time: row.consent_expiration_time || null
+                }));
+                console.log(`✓ Loaded ${company().plaidAccounts.length} Plaid account(s) from Supabase`);
+                
+                if (data.some(row => tokenNeedsReencryption(row.access_token))) {
+                    console.log('  Re-encrypting Plaid tokens...');
+                    await savePlaidTokens();
+                }
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase load exception:', err.message);
+        }
+    }
+    
+    // Fallback to file
+    try {
+        if (fs.existsSync(companyFile(PLAID_TOKENS_FILE))) {
+            const data = JSON.parse(fs.readFileSync(companyFile(PLAID_TOKENS_FILE), 'utf8'));
+            company().plaidAccounts = data.map(account => ({ ...account, access_token: decryptToken(account.access_token) }));
+            console.log(`✓ Loaded ${company().plaidAccounts.length} Plaid account(s) from file`);
+            
+            // If Supabase is available, migrate file tokens to Supabase (encrypting plaintext ones)
+            if ((supabase && tokenKeys.current && data.length > 0) || data.some(account => tokenNeedsReencryption(account.access_token))) {
+                console.log('  Migrating Plaid tokens...');
+                await savePlaidTokens();
             }
-            return null;
-        }).filter(Boolean);
+        }
+    } catch (err) {
+        console.log('Could not load saved Plaid tokens:', err.message);
+    }
+}
 
-        if (lineDetails.length > 0) {
-            lineDetails.forEach((line, idx) => {
-                const txn = {
-                    id: `purchase-${p.Id}-${idx}`,
-                    qbId: p.Id,
-                    qbType: 'Purchase',
-                    date: p.TxnDate,
-                    description: line.description || vendorName || memo || 'Purchase',
-                    vendor: vendorName,
-                    category: line.category || 'Uncategorized',
-                    categoryId: line.categoryId,
-                    amount: -Math.abs(line.amount),
-                    type: 'expense',
-                    paymentType: paymentType,
-                    source: 'Purchase',
-                    needsReview: isUncategorized(line.category)
-                };
-                
-                transactions.push(txn);
+async function savePlaidTokens() {
+    if (company().plaidAccounts.length > 0) {
+        warnUnencryptedTokens('Plaid access tokens to the local file');
+    }
+    
+    // Plaintext Plaid tokens never go to Supabase - only the local file
+    if (supabase && tokenKeys.current) {
+        try {
+            for (const account of company().plaidAccounts) {
+                const { error } = await supabase
+                    .from('plaid_connections')
+                    .upsert({
+                        id: account.id,
+                        company_id: company().id,
+                        access_token: encryptToken(account.access_token),
+                        item_id: account.item_id,
+                        institution_id: account.institution_id,
+                        institution_name: account.institution_name,
+                        accounts: account.accounts || [],
+                        excluded_accounts: account.excluded_accounts || [],
+                        qb_account_map: account.qb_account_map || {},
+                        connected_at: account.connected_at,
+                        last_synced: account.last_synced,
+                        cursor: account.cursor || null,
+                        health: account.health || 'healthy',
+                        health_error: account.health_error || null,
+                        consent_expiration_time: account.consent_expiration_time || null,
+                        updated_at: new Date().toISOString()
+                    }, { onConflict: 'id' });
                 
-                if (txn.needsReview) {
-                    needsReview.push(txn);
+                if (error) {
+                    console.error('Supabase save error for', account.institution_name, ':', error.message);
                 }
-            });
-        } else {
-            const txn = {
-                id: `purchase-${p.Id}`,
-                qbId: p.Id,
-                qbType: 'Purchase',
-                date: p.TxnDate,
-                description: vendorName || memo || 'Purchase',
-                vendor: vendorName,
-                category: 'Uncategorized',
-                categoryId: null,
-                amount: -Math.abs(p.TotalAmt),
-                type: 'expense',
-                paymentType: paymentType,
-                source: 'Purchase',
-                needsReview: true
-            };
+            }
+            console.log(`✓ Saved ${company().plaidAccounts.length} Plaid account(s) to Supabase`);
+        } catch (err) {
+            console.error('Supabase save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        const stored = company().plaidAccounts.map(account => ({ ...account, access_token: encryptToken(account.access_token) }));
+        fs.writeFileSync(companyFile(PLAID_TOKENS_FILE), JSON.stringify(stored, null, 2));
+    } catch (err) {
+        console.error('Error saving Plaid tokens to file:', err);
+    }
+}
+
+async function deletePlaidTokenFromSupabase(accountId) {
+    if (supabase) {
+        try {
+            const { error } = await supabase
+                .from('plaid_connections')
+                .delete()
+                .eq('id', accountId);
             
-            transactions.push(txn);
-            needsReview.push(txn);
+            if (error) {
+                console.error('Supabase delete error:', error.message);
+            } else {
+                console.log(`✓ Deleted Plaid account ${accountId} from Supabase`);
+            }
+        } catch (err) {
+            console.error('Supabase delete exception:', err.message);
         }
-    });
+    }
+}
 
-    // Process Bills
-    billRecords.forEach(b => {
-        const vendorName = b.VendorRef?.name || vendorMap[b.VendorRef?.value] || '';
-        const memo = b.PrivateNote || '';
+// ========== PLAID TRANSACTION STORE ==========
+// Transactions from /transactions/sync keyed by transaction_id - Supabase with file fallback
 
-        const lineDetails = (b.Line || []).map(line => {
-            if (line.AccountBasedExpenseLineDetail) {
-                const acctId = line.AccountBasedExpenseLineDetail.AccountRef?.value;
-                const acctName = line.AccountBasedExpenseLineDetail.AccountRef?.name || '';
-                return {
-                    description: line.Description || acctName,
-                    category: acctName,
-                    categoryId: acctId,
-                    amount: line.Amount
-                };
-            }
-            return null;
-        }).filter(Boolean);
+const PLAID_TRANSACTIONS_FILE = './plaid_transactions.json';
 
-        if (lineDetails.length > 0) {
-            lineDetails.forEach((line, idx) => {
-                const txn = {
-                    id: `bill-${b.Id}-${idx}`,
-                    qbId: b.Id,
-                    qbType: 'Bill',
-                    date: b.TxnDate,
-                    description: line.description || vendorName || memo || 'Bill',
-                    vendor: vendorName,
-                    category: line.category || 'Uncategorized',
-                    categoryId: line.categoryId,
-                    amount: -Math.abs(line.amount),
-                    type: 'expense',
-                    source: 'Bill',
-                    needsReview: isUncategorized(line.category)
-                };
-                
-                transactions.push(txn);
-                if (txn.needsReview) needsReview.push(txn);
-            });
-        }
-    });
+// Normalize a raw Plaid transaction into the shape the dashboard expects
+function mapPlaidTransaction(t, account) {
+    return {
+        id: t.transaction_id,
+        plaid_account_id: account.id,
+        account_id: t.account_id,
+        institution: account.institution_name,
+        date: t.date,
+        authorized_date: t.authorized_date || null,
+        description: t.name,
+        merchant_name: t.merchant_name,
+        amount: t.amount, // Plaid: positive = debit, negative = credit
+        iso_currency_code: t.iso_currency_code || null,
+        category: t.personal_finance_category?.primary || t.category?.[0] || 'Uncategorized',
+        category_detailed: t.personal_finance_category?.detailed || t.category?.join(' > '),
+        pending: t.pending,
+        pending_transaction_id: t.pending_transaction_id || null,
+        type: t.amount > 0 ? 'expense' : 'income',
+        source: 'plaid'
+    };
+}
 
-    // Process Journal Entries
-    journalEntryRecords.forEach(je => {
-        const memo = je.PrivateNote || je.DocNumber || '';
-        
-        (je.Line || []).forEach((line, idx) => {
-            if (line.JournalEntryLineDetail) {
-                const acctRef = line.JournalEntryLineDetail.AccountRef;
-                const acctName = acctRef?.name || accountMap[acctRef?.value]?.name || 'Journal Entry';
-                const acctType = accountMap[acctRef?.value]?.type || '';
-                const postingType = line.JournalEntryLineDetail.PostingType;
-                const amount = line.Amount || 0;
-                
-                if (amount === 0) return;
-                
-                let txnType = 'expense';
-                let txnAmount = -Math.abs(amount);
-                
-                if (acctType === 'Expense' || acctType === 'Cost of Goods Sold' || acctType === 'Other Expense') {
-                    if (postingType === 'Debit') {
-                        txnType = 'expense';
-                        txnAmount = -Math.abs(amount);
-                    } else {
-                        txnType = 'expense';
-                        txnAmount = Math.abs(amount);
-                    }
-                } else if (acctType === 'Income' || acctType === 'Other Income') {
-                    if (postingType === 'Credit') {
-                        txnType = 'income';
-                        txnAmount = Math.abs(amount);
-                    } else {
-                        txnType = 'income';
-                        txnAmount = -Math.abs(amount);
-                    }
-                } else if (['Other Current Liability', 'Long Term Liability', 'Bank', 'Other Current Asset', 'Fixed Asset'].includes(acctType)) {
-                    return;
-                } else {
-                    if (postingType === 'Debit') {
-                        txnType = 'expense';
-                        txnAmount = -Math.abs(amount);
-                    } else {
-                        return;
-                    }
-                }
-                
-                const isPayroll = 
-                    acctName.toLowerCase().includes('payroll') ||
-                    acctName.toLowerCase().includes('wage') ||
-                    acctName.toLowerCase().includes('salary') ||
-                    acctName.toLowerCase().includes('paychex') ||
-                    memo.toLowerCase().includes('payroll') ||
-                    memo.toLowerCase().includes('paychex');
+function plaidTransactionToRow(txn) {
+    return {
+        transaction_id: txn.id,
+        company_id: company().id,
+        plaid_account_id: txn.plaid_account_id,
+        account_id: txn.account_id,
+        institution: txn.institution,
+        date: txn.date,
+        authorized_date: txn.authorized_date,
+        name: txn.description,
+        merchant_name: txn.merchant_name,
+        amount: txn.amount,
+        iso_currency_code: txn.iso_currency_code,
+        category: txn.category,
+        category_detailed: txn.category_detailed,
+        pending: txn.pending,
+        pending_transaction_id: txn.pending_transaction_id,
+        updated_at: new Date().toISOString()
+    };
+}
+
+function rowToPlaidTransaction(row) {
+    const amount = parseFloat(row.amount);
+    return {
+        id: row.transaction_id,
+        plaid_account_id: row.plaid_account_id,
+        account_id: row.account_id,
+        institution: row.institution,
+        date: row.date,
+        authorized_date: row.authorized_date,
+        description: row.name,
+        merchant_name: row.merchant_name,
+        amount,
+        iso_currency_code: row.iso_currency_code,
+        category: row.category,
+        category_detailed: row.category_detailed,
+        pending: row.pending,
+        pending_transaction_id: row.pending_transaction_id,
+        type: amount > 0 ? 'expense' : 'income',
+        source: 'plaid'
+    };
+}
+
+async function loadPlaidTransactions() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const rows = [];
+            const pageSize = 1000;
+            let from = 0;
+            
+            while (true) {
+                const { data, error } = await supabase
+                    .from('plaid_transactions')
+                    .select('*')
+                    .eq('company_id', company().id)
+                    .order('transaction_id')
+                    .range(from, from + pageSize - 1);
                 
-                transactions.push({
-                    id: `journal-${je.Id}-${idx}`,
-                    qbId: je.Id,
-                    qbType: 'JournalEntry',
-                    date: je.TxnDate,
-                    description: line.Description || memo || acctName,
-                    vendor: '',
-                    category: isPayroll ? 'Payroll Expenses' : acctName,
-                    amount: txnAmount,
-                    type: txnType,
-                    source: 'JournalEntry',
-                    isPayroll: isPayroll,
-                    needsReview: false
+                if (error) throw new Error(error.message);
+                rows.push(...(data || []));
+                if (!data || data.length < pageSize) break;
+                from += pageSize;
+            }
+            
+            if (rows.length > 0) {
+                company().plaidTransactions = {};
+                rows.forEach(row => {
+                    company().plaidTransactions[row.transaction_id] = rowToPlaidTransaction(row);
                 });
+                console.log(`✓ Loaded ${rows.length} Plaid transaction(s) from Supabase`);
+                return;
             }
-        });
-    });
+        } catch (err) {
+            console.log('Supabase transaction load error, falling back to file:', err.message);
+        }
+    }
+    
+    // Fallback to file
+    try {
+        if (fs.existsSync(companyFile(PLAID_TRANSACTIONS_FILE))) {
+            const data = JSON.parse(fs.readFileSync(companyFile(PLAID_TRANSACTIONS_FILE), 'utf8'));
+            company().plaidTransactions = {};
+            data.forEach(txn => {
+                company().plaidTransactions[txn.id] = txn;
+            });
+            console.log(`✓ Loaded ${data.length} Plaid transaction(s) from file`);
+        }
+    } catch (err) {
+        console.log('No stored Plaid transactions found');
+    }
+}
 
-    // Process Deposits
-    depositRecords.forEach(d => {
-        const lineDetails = (d.Line || []).map(line => {
-            if (line.DepositLineDetail) {
-                return {
-                    description: line.DepositLineDetail.Entity?.name || line.Description || 'Deposit',
-                    customer: line.DepositLineDetail.Entity?.name || '',
-                    amount: line.Amount
-                };
+// Persist changed and removed transactions. Supabase gets only the delta,
+// the file backup always gets the full store.
+// Throws when Supabase rejects a write so the sync cursor isn't advanced past it
+async function savePlaidTransactions(changed = [], removedIds = []) {
+    // Always save to file as backup
+    try {
+        fs.writeFileSync(companyFile(PLAID_TRANSACTIONS_FILE), JSON.stringify(Object.values(company().plaidTransactions)));
+    } catch (err) {
+        console.error('Error saving Plaid transactions to file:', err);
+    }
+    
+    if (supabase) {
+        const chunkSize = 500;
+        for (let i = 0; i < changed.length; i += chunkSize) {
+            const { error } = await supabase
+                .from('plaid_transactions')
+                .upsert(changed.slice(i, i + chunkSize).map(plaidTransactionToRow), { onConflict: 'transaction_id' });
+            
+            if (error) {
+                throw new Error(`Supabase transaction save error: ${error.message}`);
             }
-            return null;
-        }).filter(Boolean);
+        }
+        
+        for (let i = 0; i < removedIds.length; i += chunkSize) {
+            const { error } = await supabase
+                .from('plaid_transactions')
+                .delete()
+                .in('transaction_id', removedIds.slice(i, i + chunkSize));
+            
+            if (error) {
+                throw new Error(`Supabase transaction delete error: ${error.message}`);
+            }
+        }
+    }
+}
 
-        if (lineDetails.length > 0) {
-            lineDetails.forEach((line, idx) => {
-                transactions.push({
-                    id: `deposit-${d.Id}-${idx}`,
-                    qbId: d.Id,
-                    qbType: 'Deposit',
-                    date: d.TxnDate,
-                    description: line.description,
-                    customer: line.customer,
-                    category: 'Income',
-                    amount: Math.abs(line.amount),
-                    type: 'income',
-                    source: 'Deposit',
-                    needsReview: false
-                });
-            });
-        } else {
-            transactions.push({
-                id: `deposit-${d.Id}`,
-                qbId: d.Id,
-                qbType: 'Deposit',
-                date: d.TxnDate,
-                description: d.PrivateNote || 'Bank Deposit',
-                category: 'Income',
-                amount: Math.abs(d.TotalAmt),
-                type: 'income',
-                source: 'Deposit',
-                needsReview: false
-            });
+async function plaidSyncPage(account, cursor) {
+    const syncResponse = await fetch(`${PLAID_BASE_URL}/transactions/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            client_id: PLAID_CLIENT_ID,
+            secret: PLAID_SECRET,
+            access_token: account.access_token,
+            cursor: cursor || '',
+            count: 500
+        })
+    });
+    
+    return syncResponse.json();
+}
+
+// Pull every page from /transactions/sync for one item and apply
+// added/modified/removed to the store. The cursor only advances once all
+// pages have been applied, so a failed sync is retried from the same point.
+async function runPlaidItemSync(account) {
+    const startCursor = account.cursor || '';
+    let added, modified, removed, cursor;
+    let restarts = 0;
+    
+    while (true) {
+        added = [];
+        modified = [];
+        removed = [];
+        cursor = startCursor;
+        let hasMore = true;
+        let mutated = false;
+        
+        while (hasMore) {
+            const syncData = await plaidSyncPage(account, cursor);
+            
+            if (syncData.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION') {
+                mutated = true;
+                break;
+            }
+            if (syncData.error_code) {
+                const error = new Error(syncData.error_message || syncData.error_code);
+                error.code = syncData.error_code;
+                throw error;
+            }
+            
+            added.push(...(syncData.added || []));
+            modified.push(...(syncData.modified || []));
+            removed.push(...(syncData.removed || []));
+            cursor = syncData.next_cursor;
+            hasMore = syncData.has_more;
+        }
+        
+        if (!mutated) break;
+        
+        // Plaid asks us to restart pagination from the original cursor
+        if (++restarts > 3) {
+            throw new Error('Transactions changed during pagination, try again later');
         }
+    }
+    
+    const changed = [...added, ...modified].map(t => mapPlaidTransaction(t, account));
+    changed.forEach(txn => {
+        company().plaidTransactions[txn.id] = txn;
+    });
+    
+    const removedIds = removed.map(r => r.transaction_id);
+    removedIds.forEach(id => {
+        delete company().plaidTransactions[id];
     });
+    
+    await savePlaidTransactions(changed, removedIds);
+    
+    account.cursor = cursor;
+    account.last_synced = new Date().toISOString();
+    
+    return {
+        added: added.map(t => company().plaidTransactions[t.transaction_id]),
+        modified: modified.length,
+        removed: removedIds.length
+    };
+}
 
-    // Process other income types...
-    salesReceiptRecords.forEach(sr => {
-        transactions.push({
-            id: `salesreceipt-${sr.Id}`,
-            qbId: sr.Id,
-            qbType: 'SalesReceipt',
-            date: sr.TxnDate,
-            description: sr.CustomerRef?.name ? `Payment - ${sr.CustomerRef.name}` : 'Sales Receipt',
-            customer: sr.CustomerRef?.name || '',
-            category: 'Income',
-            amount: Math.abs(sr.TotalAmt),
-            type: 'income',
-            source: 'SalesReceipt',
-            needsReview: false
+// One sync per item at a time - webhooks and manual syncs can overlap. A call
+// while one is running queues one more run after it: the running sync may
+// already have fetched its last page. Calls before that run starts share it.
+const plaidSyncsInFlight = {};
+
+async function syncPlaidItem(account) {
+    const inFlight = plaidSyncsInFlight[account.id];
+    if (inFlight && !inFlight.started) {
+        return inFlight.promise;
+    }
+    
+    const previous = inFlight ? inFlight.promise.catch(() => {}) : Promise.resolve();
+    const run = { started: false };
+    run.promise = previous
+        .then(() => {
+            run.started = true;
+            return runPlaidItemSync(account);
+        })
+        .then(result => {
+            if (account.health === 'login_required') {
+                setPlaidHealth(account, 'healthy');
+            }
+            return result;
+        })
+        .catch(err => {
+            if (PLAID_LOGIN_ERROR_CODES.includes(err.code)) {
+                setPlaidHealth(account, 'login_required', err.code);
+            }
+            throw err;
+        })
+        .finally(() => {
+            if (plaidSyncsInFlight[account.id] === run) {
+                delete plaidSyncsInFlight[account.id];
+            }
         });
+    plaidSyncsInFlight[account.id] = run;
+    
+    return run.promise;
+}
+
+async function deletePlaidTransactionsForAccount(accountId) {
+    const removedIds = Object.values(company().plaidTransactions)
+        .filter(t => t.plaid_account_id === accountId)
+        .map(t => t.id);
+    
+    removedIds.forEach(id => {
+        delete company().plaidTransactions[id];
     });
+    
+    try {
+        await savePlaidTransactions([], removedIds);
+    } catch (err) {
+        console.error(err.message);
+    }
+}
 
-    paymentRecords.forEach(p => {
-        transactions.push({
-            id: `payment-${p.Id}`,
-            qbId: p.Id,
-            qbType: 'Payment',
-            date: p.TxnDate,
-            description: p.CustomerRef?.name ? `Payment - ${p.CustomerRef.name}` : 'Payment Received',
-            customer: p.CustomerRef?.name || '',
-            category: 'Income',
-            amount: Math.abs(p.TotalAmt),
-            type: 'income',
-            source: 'Payment',
-            needsReview: false
+// ========== TRANSFER MATCHING ==========
+// A card payment shows up twice: "CHASE CREDIT CRD EPAY" leaving the bank and
+// "Payment Thank You" arriving on the card. Pair them so neither hits the P&L.
+
+const TRANSFER_MATCH_WINDOW_DAYS = 5;
+
+// Payee patterns that identify a transfer, with the institution expected on the other side
+const TRANSFER_PAYEE_PATTERNS = [
+    { pattern: 'chase credit crd', institution: 'chase' },
+    { pattern: 'american express ach pmt', institution: 'american express' },
+    { pattern: 'amex epay', institution: 'american express' },
+    { pattern: 'payment thank you', institution: null },
+    { pattern: 'online payment - thank you', institution: null },
+    { pattern: 'online transfer', institution: null }
+];
+
+function findTransferPayee(txn) {
+    const searchText = `${txn.description || ''} ${txn.merchant_name || ''}`.toLowerCase();
+    return TRANSFER_PAYEE_PATTERNS.find(p => searchText.includes(p.pattern)) || null;
+}
+
+function daysBetween(a, b) {
+    return Math.abs(new Date(a) - new Date(b)) / 86400000;
+}
+
+// Mark matched pairs (and lone transfers) in place. Only transactions that look
+// like a transfer on at least one side are considered, so two unrelated
+// charges that happen to share an amount are never paired. The money coming in
+// must look like a transfer too, or land on a credit card - a customer payment
+// into the bank is never the other half of a bill payment.
+function matchPlaidTransfers(transactions) {
+    const looksLikeTransfer = t => t.smartType === 'transfer' || !!findTransferPayee(t);
+    const creditAccountIds = new Set(company().plaidAccounts
+        .flatMap(pa => pa.accounts || [])
+        .filter(a => a.type === 'credit')
+        .map(a => a.account_id));
+
+    // Plaid sign: positive = money out
+    const outflows = transactions.filter(t => t.amount > 0 && !t.pending);
+    const inflows = transactions.filter(t => t.amount < 0 && !t.pending);
+    const matchedIds = new Set();
+    const pairs = [];
+
+    outflows
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(out => {
+            const outPayee = findTransferPayee(out);
+            let best = null;
+            let bestScore = -Infinity;
+
+            for (const inc of inflows) {
+                if (matchedIds.has(inc.id)) continue;
+                if (inc.plaid_account_id === out.plaid_account_id) continue;
+                if (Math.abs(Math.abs(inc.amount) - out.amount) > 0.005) continue;
+
+                const days = daysBetween(out.date, inc.date);
+                if (days > TRANSFER_MATCH_WINDOW_DAYS) continue;
+                if (!looksLikeTransfer(out) && !looksLikeTransfer(inc)) continue;
+                if (!looksLikeTransfer(inc) && !creditAccountIds.has(inc.account_id)) continue;
+
+                // Closer dates score higher; a payee that names the other institution scores highest
+                let score = -days;
+                if (findTransferPayee(inc)) score += 2;
+                if (outPayee?.institution && (inc.institution || '').toLowerCase().includes(outPayee.institution)) score += 5;
+
+                if (score > bestScore) {
+                    best = inc;
+                    bestScore = score;
+                }
+            }
+
+            if (best) {
+                matchedIds.add(out.id);
+                matchedIds.add(best.id);
+                pairs.push({ outflow: out, inflow: best });
+            }
         });
-    });
 
-    refundReceiptRecords.forEach(rr => {
-        transactions.push({
-            id: `refund-${rr.Id}`,
-            qbId: rr.Id,
-            qbType: 'RefundReceipt',
-            date: rr.TxnDate,
-            description: `Refund to ${rr.CustomerRef?.name || 'Customer'}`,
-            customer: rr.CustomerRef?.name || '',
-            category: 'Refunds',
-            amount: -Math.abs(rr.TotalAmt),
-            type: 'expense',
-            source: 'RefundReceipt',
-            needsReview: false
+    pairs.forEach(({ outflow, inflow }) => {
+        [[outflow, inflow], [inflow, outflow]].forEach(([txn, other]) => {
+            txn.smartCategory = 'Transfer';
+            txn.smartType = 'transfer';
+            txn.needsReview = false;
+            txn.confidence = Math.max(txn.confidence || 0, AUTO_APPROVE_CONFIDENCE);
+            txn.excludeFromPL = true;
+            txn.transferStatus = 'matched';
+            txn.linkedTransferId = other.id;
         });
     });
 
-    vendorCreditRecords.forEach(vc => {
-        transactions.push({
-            id: `vendorcredit-${vc.Id}`,
-            qbId: vc.Id,
-            qbType: 'VendorCredit',
-            date: vc.TxnDate,
-            description: `Credit from ${vc.VendorRef?.name || 'Vendor'}`,
-            vendor: vc.VendorRef?.name || '',
-            category: 'Vendor Credits',
-            amount: Math.abs(vc.TotalAmt),
-            type: 'expense',
-            source: 'VendorCredit',
-            needsReview: false
-        });
+    const unmatched = transactions.filter(t => !matchedIds.has(t.id) && looksLikeTransfer(t));
+    unmatched.forEach(txn => {
+        txn.excludeFromPL = txn.smartType === 'transfer';
+        txn.transferStatus = 'unmatched';
+        txn.linkedTransferId = null;
+    });
+
+    return { pairs, unmatched };
+}
+
+// Every stored transaction for connected, non-excluded accounts - categorized
+// and transfer-matched over the full history so pairs across a date filter
+// boundary still link up
+function getCategorizedPlaidTransactions() {
+    const excludedAccounts = new Set(company().plaidAccounts.flatMap(pa => pa.excluded_accounts || []));
+    const connectedIds = new Set(company().plaidAccounts.map(pa => pa.id));
+
+    const transactions = Object.values(company().plaidTransactions)
+        .filter(t => connectedIds.has(t.plaid_account_id) && !excludedAccounts.has(t.account_id))
+        .map(txn => applyPlaidSplits(categorizePlaidTransaction(txn)));
+
+    const transfers = matchPlaidTransfers(transactions);
+    
+    // Manual overrides beat rules and transfer matching
+    transactions.forEach(applyPlaidOverride);
+    
+    transactions.forEach(txn => {
+        const posting = company().plaidPostings[txn.id];
+        txn.posting = posting ? { status: posting.status, qb_type: posting.qbType, qb_id: posting.qbId } : null;
     });
 
-    // Sort by date descending
-    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    needsReview.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return { transactions, transfers };
+}
+
+// ========== SPLIT TRANSACTIONS ==========
+// One charge covering several things is split into lines with their own
+// category and amount. Lines must add up to the transaction amount.
+// QuickBooks splits are written back as separate expense lines; Plaid splits
+// are stored here (Supabase with file fallback) and used for P&L totals.
+
+const TRANSACTION_SPLITS_FILE = './transaction_splits.json';
+
+// Returns an error message, or null when the splits are valid
+function validateSplits(splits, total) {
+    if (!Array.isArray(splits) || splits.length < 2) {
+        return 'splits must be an array of at least 2 lines';
+    }
+    
+    for (const [idx, split] of splits.entries()) {
+        if (!split.categoryName && !split.categoryId) {
+            return `Split ${idx + 1}: categoryName or categoryId required`;
+        }
+        const amount = Number(split.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return `Split ${idx + 1}: amount must be a positive number`;
+        }
+    }
+    
+    const sum = splits.reduce((acc, split) => acc + Number(split.amount), 0);
+    if (Math.abs(sum - Math.abs(total)) > 0.005) {
+        return `Split amounts add up to ${sum.toFixed(2)} but the transaction is ${Math.abs(total).toFixed(2)}`;
+    }
+    
+    return null;
+}
+
+function normalizeSplits(splits) {
+    return splits.map(split => ({
+        categoryId: split.categoryId || null,
+        categoryName: split.categoryName || company().categoryCache.categories.find(c => c.id === split.categoryId)?.name || null,
+        amount: Math.round(Number(split.amount) * 100) / 100,
+        description: split.description || null
+    }));
+}
+
+async function loadPlaidSplits() {
+    // Try Supabase first
+    if (supabase) {
+        try {
+            const { data, error } = await supabase
+                .from('transaction_splits')
+                .select('*')
+                .eq('company_id', company().id);
+            
+            if (error) {
+                console.log('Supabase split load error, falling back to file:', error.message);
+            } else if (data && data.length > 0) {
+                company().plaidSplits = {};
+                data.forEach(row => {
+                    company().plaidSplits[row.transaction_id] = {
+                        splits: row.splits,
+                        updatedBy: row.updated_by,
+                        updatedAt: row.updated_at
+                    };
+                });
+                console.log(`✓ Loaded ${data.length} split transaction(s) from Supabase`);
+                return;
+            }
+        } catch (err) {
+            console.log('Supabase split load exception:', err.message);
+        }
+    }
+    
+    // Fallback to file
+    try {
+        if (fs.existsSync(companyFile(TRANSACTION_SPLITS_FILE))) {
+            company().plaidSplits = JSON.parse(fs.readFileSync(companyFile(TRANSACTION_SPLITS_FILE), 'utf8'));
+            console.log(`✓ Loaded ${Object.keys(company().plaidSplits).length} split transaction(s) from file`);
+        }
+    } catch (err) {
+        console.log('No split transactions found');
+    }
+}
+
+async function savePlaidSplit(transactionId) {
+    const entry = company().plaidSplits[transactionId];
+    
+    if (supabase) {
+        try {
+            const { error } = entry
+                ? await supabase.from('transaction_splits').upsert({
+                    company_id: company().id,
+                    transaction_id: transactionId,
+                    splits: entry.splits,
+                    updated_by: entry.updatedBy,
+                    updated_at: entry.updatedAt
+                }, { onConflict: 'transaction_id' })
+                : await supabase.from('transaction_splits').delete().eq('transaction_id', transactionId);
+            
+            if (error) {
+                console.error('Supabase split save error:', error.message);
+            }
+        } catch (err) {
+            console.error('Supabase split save exception:', err.message);
+        }
+    }
+    
+    // Always save to file as backup
+    try {
+        fs.writeFileSync(companyFile(TRANSACTION_SPLITS_FILE), JSON.stringify(company().plaidSplits, null, 2));
+    } catch (err) {
+        console.error('Error saving split transactions:', err);
+    }
+}
+
+// Replace a categorized Plaid transaction's single category with its split lines
+function applyPlaidSplits(txn) {
+    const entry = company().plaidSplits[txn.id];
+    if (!entry) return txn;
+    
+    return {
+        ...txn,
+        smartCategory: 'Split',
+        smartCategoryId: null,
+        smartType: 'split',
+        confidence: 1.0,
+        needsReview: false,
+        categorySource: 'split',
+        ruleId: null,
+        reviewReason: undefined,
+        splits: entry.splits.map(split => ({
+            ...split,
+            // Lines carry the transaction's sign (Plaid: positive = money out)
+            type: transactionTypeForCategory(split.categoryId, split.categoryName, Math.sign(txn.amount) * split.amount)
+        }))
+    };
+}
+
+// P&L totals for categorized Plaid transactions, counting split lines separately
+function plaidProfitAndLoss(transactions) {
+    const byCategory = {};
+    const totals = { income: 0, expenses: 0, cogs: 0 };
+    
+    const addLine = (category, type, amount) => {
+        if (type === 'transfer') return;
+        const key = `${type}|${category}`;
+        byCategory[key] = byCategory[key] || { category, type, amount: 0, count: 0 };
+        byCategory[key].amount += amount;
+        byCategory[key].count++;
+        if (type === 'income') totals.income += amount;
+        else if (type === 'cogs') totals.cogs += amount;
+        else totals.expenses += amount;
+    };
+    
+    // Plaid sign: positive = money out. Income counts money in, so a chargeback
+    // reduces income; expenses count money out, so a refund reduces expenses.
+    const signed = (type, amount) => (type === 'income' ? -amount : amount);
+    
+    transactions
+        .filter(t => !t.excludeFromPL)
+        .forEach(t => {
+            if (t.splits) {
+                t.splits.forEach(split => addLine(split.categoryName, split.type, signed(split.type, Math.sign(t.amount) * split.amount)));
+            } else {
+                addLine(t.smartCategory, t.smartType, signed(t.smartType, t.amount));
+            }
+        });
+    
+    return {
+        ...totals,
+        net: totals.income - totals.cogs - totals.expenses,
+        byCategory: Object.values(byCategory).sort((a, b) => b.amount - a.amount)
+    };
+}
+
+// Split a Plaid transaction: { splits: [{ categoryName, categoryId, amount, description }], updatedBy }
+app.put('/api/plaid/transactions/:id/splits', async (req, res) => {
+    try {
+        const txn = company().plaidTransactions[req.params.id];
+        if (!txn) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        
+        const validationError = validateSplits(req.body.splits, txn.amount);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        company().plaidSplits[txn.id] = {
+            splits: normalizeSplits(req.body.splits),
+            updatedBy: req.body.updatedBy || null,
+            updatedAt: new Date().toISOString()
+        };
+        await savePlaidSplit(txn.id);
+        
+        await logCategorizations(company().plaidSplits[txn.id].splits.map(split => ({
+            event: 'applied',
+            transactionId: txn.id,
+            transactionSource: 'plaid',
+            suggestionSource: 'manual',
+            reasoning: `Split: $${split.amount.toFixed(2)} of $${Math.abs(txn.amount).toFixed(2)}`,
+            newCategoryId: split.categoryId,
+            newCategory: split.categoryName,
+            approvedBy: req.body.updatedBy
+        })));
+        
+        console.log(`✓ Split Plaid transaction ${txn.id} into ${company().plaidSplits[txn.id].splits.length} lines`);
+        
+        res.json({ success: true, transaction: applyPlaidSplits(categorizePlaidTransaction(txn)) });
+    } catch (err) {
+        console.error('Plaid split error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    // Parse P&L for monthly summaries
-    const monthlyData = parseMonthlyPL(plReport);
+// Remove a split - the transaction goes back to rule categorization
+app.delete('/api/plaid/transactions/:id/splits', async (req, res) => {
+    try {
+        if (!company().plaidSplits[req.params.id]) {
+            return res.status(404).json({ error: 'Transaction is not split' });
+        }
+        
+        delete company().plaidSplits[req.params.id];
+        await savePlaidSplit(req.params.id);
+        
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    // Calculate category totals
-    const categoryTotals = {};
-    transactions.filter(t => t.type === 'expense').forEach(t => {
-        const cat = t.category || 'Uncategorized';
-        categoryTotals[cat] = (categoryTotals[cat] || 0) + Math.abs(t.amount);
-    });
+// ========== QUICKBOOKS POSTING ==========
+// Reviewed Plaid transactions become QuickBooks entries under the bank or
+// credit card account mapped to their Plaid account: money out is a Purchase,
+// money in a Deposit (or a credit card credit), matched transfers a Transfer.
+// Each transaction_id is posted once - the posting record is checked first and
+// QuickBooks' requestid deduplicates retries of the same request.
 
-    const categories = Object.entries(categoryTotals)
-        .map(([name, amount]) => ({ name, amount }))
-        .sort((a, b) => b.amount - a.amount);
+const PLAID_POSTINGS_FILE = './plaid_postings.json';
+const QB_POSTING_ACCOUNT_TYPES = ['Bank', 'Credit Card'];
 
-    const totalExpenses = transactions
-        .filter(t => t.type === 'expense')
-        .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+const plaidPostingsInFlight = new Set();
 
-    const totalIncome = transactions
-        .filter(t => t.type === 'income')
-        .reduce((sum, t) => sum + t.amount, 0);
+function postingToRow(posting) {
+    return {
+        transaction_id: posting.transactionId,
+        status: posting.status,
+        qb_type: posting.qbType,
+        qb_id: posting.qbId,
+        request_id: posting.requestId,
+        attempts: posting.attempts,
+        amount: posting.amount,
+        txn_date: posting.date,
+        linked_transaction_id: posting.linkedTransactionId,
+        error: posting.error,
+        posted_by: posting.postedBy,
+        posted_at: posting.postedAt
+    };
+}
 
-    const sourceCounts = {};
-    transactions.forEach(t => {
-        sourceCounts[t.source] = (sourceCounts[t.source] || 0) + 1;
-    });
+function rowToPosting(row) {
+    return {
+        transactionId: row.transaction_id,
+        status: row.status,
+        qbType: row.qb_type,
+        qbId: row.qb_id,
+        requestId: row.request_id,
+        attempts: row.attempts || 0,
+        amount: row.amount != null ? Number(row.amount) : null,
+        date: row.txn_date,
+        linkedTransactionId: row.linked_transaction_id,
+        error: row.error,
+        postedBy: row.posted_by,
+        postedAt: row.posted_at
+    };
+}
 
-    console.log(`\n✓ Fetched ${transactions.length} total transactions`);
-    console.log(`  ${needsReview.length} need review`);
+async function loadPlaidPostings() {
+    company().plaidPostings = await loadTransactionKeyedStore('plaid_postings', PLAID_POSTINGS_FILE,
+        { fromRow: rowToPosting, toRow: postingToRow }, 'Plaid posting(s)');
+}
 
-    return {
-        summary: {
-            totalIncome,
-            totalExpenses,
-            netProfit: totalIncome - totalExpenses,
-            transactionCount: transactions.length,
-            needsReviewCount: needsReview.length
-        },
-        monthlyData,
-        categories,
-        transactions,
-        needsReview,
-        expenses: categoryTotals,
-        timestamp: Date.now(),
-        debug: {
-            realm_id: tokens.realm_id,
-            date_range: `${startDate} to ${endDate}`,
-            purchase_count: purchaseRecords.length,
-            bill_count: billRecords.length,
-            journal_entry_count: journalEntryRecords.length,
-            salesreceipt_count: salesReceiptRecords.length,
-            payment_count: paymentRecords.length,
-            deposit_count: depositRecords.length,
-            refund_count: refundReceiptRecords.length,
-            vendor_credit_count: vendorCreditRecords.length,
-            needs_review_count: needsReview.length,
-            sources: sourceCounts
+async function savePlaidPosting(transactionId) {
+    await saveTransactionKeyedEntry('plaid_postings', PLAID_POSTINGS_FILE, company().plaidPostings,
+        transactionId, postingToRow(company().plaidPostings[transactionId]));
+}
+
+// QuickBooks bank/credit card account mapped to a Plaid account_id
+function qbAccountForPlaidAccount(accountId) {
+    for (const pa of company().plaidAccounts) {
+        if (pa.qb_account_map?.[accountId]) {
+            return pa.qb_account_map[accountId];
         }
-    };
+    }
+    return null;
 }
 
-function parseMonthlyPL(report) {
-    const monthlyData = [];
+// QuickBooks category account by id, else by (full) name
+function resolveQbCategory(categoryId, categoryName) {
+    const byId = categoryId && company().categoryCache.categories.find(c => c.id === categoryId);
+    if (byId) return byId;
     
-    if (!report?.Rows?.Row) return monthlyData;
+    const lower = (categoryName || '').toLowerCase();
+    return company().categoryCache.categories.find(c =>
+        c.name.toLowerCase() === lower || c.fullName.toLowerCase() === lower
+    ) || null;
+}
 
-    const columns = report.Columns?.Column || [];
-    const monthNames = columns.slice(1).map(c => {
-        const parts = (c.ColTitle || '').split(' ');
-        return parts[0] || '';
-    });
+// Stable per transaction and attempt - QuickBooks returns the original
+// response for a repeated requestid instead of creating a second entity
+function postingRequestId(transactionId, attempt) {
+    const hash = crypto.createHash('sha1').update(transactionId).digest('hex').slice(0, 32);
+    return `plaid-${hash}-${attempt}`;
+}
 
-    const findRow = (rows, label) => {
-        for (const row of rows) {
-            if (row.Summary?.ColData?.[0]?.value?.toLowerCase().includes(label.toLowerCase())) {
-                return row.Summary;
+// What posting this transaction would do. status: ready | posted | skipped
+function planPlaidPosting(txn, byId) {
+    const plan = {
+        transaction_id: txn.id,
+        date: txn.date,
+        description: txn.description,
+        amount: txn.amount,
+        category: txn.smartCategory
+    };
+    const skip = reason => ({ ...plan, status: 'skipped', reason });
+    
+    const existing = company().plaidPostings[txn.id];
+    if (existing?.status === 'posted') {
+        return { ...plan, status: 'posted', qb_type: existing.qbType, qb_id: existing.qbId };
+    }
+    if (txn.pending) return skip('Pending - wait for it to post');
+    if (txn.needsReview) return skip('Needs review');
+    if (!txn.splits && txn.smartType !== 'transfer' && txn.smartCategory === 'Uncategorized') {
+        return skip('Uncategorized');
+    }
+    
+    const bankAccount = qbAccountForPlaidAccount(txn.account_id);
+    if (!bankAccount) return skip('Plaid account is not mapped to a QuickBooks account');
+    
+    const note = `Plaid ${txn.id} - ${txn.description}`.slice(0, 4000);
+    
+    // Matched transfers post once, from the outflow side
+    if (txn.smartType === 'transfer') {
+        if (txn.transferStatus !== 'matched') {
+            return skip('Unmatched transfer - link the other side or recategorize');
+        }
+        if (txn.amount < 0) {
+            return skip(`Posts with outflow ${txn.linkedTransferId}`);
+        }
+        const toAccount = qbAccountForPlaidAccount(byId[txn.linkedTransferId]?.account_id);
+        if (!toAccount) return skip('Transfer destination account is not mapped');
+        
+        return {
+            ...plan,
+            status: 'ready',
+            qb_type: 'Transfer',
+            linked_transaction_id: txn.linkedTransferId,
+            payload: {
+                TxnDate: txn.date,
+                Amount: Math.abs(txn.amount),
+                FromAccountRef: { value: bankAccount.id, name: bankAccount.name },
+                ToAccountRef: { value: toAccount.id, name: toAccount.name },
+                PrivateNote: note
             }
-            if (row.Rows?.Row) {
-                const found = findRow(row.Rows.Row, label);
-                if (found) return found;
+        };
+    }
+    
+    const parts = txn.splits
+        ? txn.splits.map(split => ({ categoryId: split.categoryId, categoryName: split.categoryName, amount: split.amount, description: split.description }))
+        : [{ categoryId: txn.smartCategoryId, categoryName: txn.smartCategory, amount: Math.abs(txn.amount) }];
+    
+    const lines = [];
+    for (const part of parts) {
+        const account = resolveQbCategory(part.categoryId, part.categoryName);
+        if (!account) return skip(`No QuickBooks account for category "${part.categoryName}"`);
+        lines.push({ ...part, account });
+    }
+    
+    const lineDescription = part => part.description || txn.merchant_name || txn.description;
+    const isCard = bankAccount.type === 'Credit Card';
+    
+    // Money out, or a refund back onto a credit card
+    if (txn.amount > 0 || isCard) {
+        return {
+            ...plan,
+            status: 'ready',
+            qb_type: 'Purchase',
+            payload: {
+                TxnDate: txn.date,
+                PaymentType: isCard ? 'CreditCard' : 'Cash',
+                AccountRef: { value: bankAccount.id, name: bankAccount.name },
+                ...(txn.amount < 0 ? { Credit: true } : {}),
+                PrivateNote: note,
+                Line: lines.map(line => ({
+                    DetailType: 'AccountBasedExpenseLineDetail',
+                    Amount: line.amount,
+                    Description: lineDescription(line),
+                    AccountBasedExpenseLineDetail: {
+                        AccountRef: { value: line.account.id, name: line.account.name }
+                    }
+                }))
             }
+        };
+    }
+    
+    return {
+        ...plan,
+        status: 'ready',
+        qb_type: 'Deposit',
+        payload: {
+            TxnDate: txn.date,
+            DepositToAccountRef: { value: bankAccount.id, name: bankAccount.name },
+            PrivateNote: note,
+            Line: lines.map(line => ({
+                DetailType: 'DepositLineDetail',
+                Amount: line.amount,
+                Description: lineDescription(line),
+                DepositLineDetail: {
+                    AccountRef: { value: line.account.id, name: line.account.name }
+                }
+            }))
         }
-        return null;
     };
+}
 
-    const incomeRow = findRow(report.Rows.Row, 'Total Income');
-    const expenseRow = findRow(report.Rows.Row, 'Total Expenses');
+// Plans for the requested transactions: { transaction_ids } or a date range
+async function buildPostingPlans({ transaction_ids, start_date, end_date }) {
+    if (!company().categoryCache.categories.length) {
+        await fetchAndCacheCategories();
+    }
+    
+    const { transactions } = getCategorizedPlaidTransactions();
+    const byId = {};
+    transactions.forEach(t => {
+        byId[t.id] = t;
+    });
+    
+    const selected = Array.isArray(transaction_ids)
+        ? transaction_ids.map(id => byId[id]).filter(Boolean)
+        : transactions.filter(t => (!start_date || t.date >= start_date) && (!end_date || t.date <= end_date));
+    
+    return selected
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(t => planPlaidPosting(t, byId));
+}
 
-    monthNames.forEach((month, idx) => {
-        if (!month) return;
+async function postPlaidTransaction(plan, postedBy) {
+    const { transaction_id: transactionId } = plan;
+    if (plaidPostingsInFlight.has(transactionId)) {
+        return { ...plan, status: 'skipped', reason: 'Already being posted' };
+    }
+    
+    plaidPostingsInFlight.add(transactionId);
+    const previous = company().plaidPostings[transactionId];
+    const attempts = previous?.attempts || 0;
+    const requestId = postingRequestId(transactionId, attempts);
+    
+    try {
+        const result = await qbApiCall(
+            `/${plan.qb_type.toLowerCase()}?requestid=${requestId}`,
+            'POST',
+            plan.payload
+        );
+        const entity = result[plan.qb_type];
+        cacheQuickBooksEntity(plan.qb_type, entity);
+        
+        const record = {
+            transactionId,
+            status: 'posted',
+            qbType: plan.qb_type,
+            qbId: entity?.Id || null,
+            requestId,
+            attempts: attempts + 1,
+            amount: plan.amount,
+            date: plan.date,
+            linkedTransactionId: plan.linked_transaction_id || null,
+            error: null,
+            postedBy: postedBy || null,
+            postedAt: new Date().toISOString()
+        };
+        company().plaidPostings[transactionId] = record;
+        await savePlaidPosting(transactionId);
         
-        const revenue = parseFloat(incomeRow?.ColData?.[idx + 1]?.value) || 0;
-        const expenses = parseFloat(expenseRow?.ColData?.[idx + 1]?.value) || 0;
+        // The inflow side of a transfer is covered by the same entry
+        if (plan.linked_transaction_id) {
+            company().plaidPostings[plan.linked_transaction_id] = { ...record, transactionId: plan.linked_transaction_id, linkedTransactionId: transactionId };
+            await savePlaidPosting(plan.linked_transaction_id);
+        }
         
-        monthlyData.push({
-            month,
-            revenue,
-            expenses,
-            profit: revenue - expenses
-        });
-    });
-
-    return monthlyData;
+        console.log(`✓ Posted Plaid ${transactionId} as ${plan.qb_type} ${record.qbId}`);
+        return { ...plan, status: 'posted', qb_id: record.qbId };
+    } catch (err) {
+        // A 4xx was rejected outright, so the next try gets a new requestid.
+        // Anything else may have gone through - retry with the same one.
+        const rejected = /API error: 4\d\d/.test(err.message);
+        company().plaidPostings[transactionId] = {
+            transactionId,
+            status: 'failed',
+            qbType: plan.qb_type,
+            qbId: null,
+            requestId,
+            attempts: rejected ? attempts + 1 : attempts,
+            amount: plan.amount,
+            date: plan.date,
+            linkedTransactionId: plan.linked_transaction_id || null,
+            error: err.message,
+            postedBy: postedBy || null,
+            postedAt: new Date().toISOString()
+        };
+        await savePlaidPosting(transactionId);
+        
+        console.error(`Posting Plaid ${transactionId} failed:`, err.message);
+        return { ...plan, status: 'failed', error: err.message };
+    } finally {
+        plaidPostingsInFlight.delete(transactionId);
+    }
 }
 
-// ========== HEALTH CHECK ==========
-
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        connected: !!tokens.access_token,
-        aiEnabled: !!anthropic,
-        rulesLoaded: learnedRules.length,
-        plaidEnabled: !!process.env.PLAID_CLIENT_ID
-    });
+// Map a Plaid account to a QuickBooks Bank or Credit Card account
+// { institution_id, account_id, qb_account_id } - qb_account_id null removes it
+app.post('/api/plaid/map-account', async (req, res) => {
+    try {
+        const { institution_id, account_id, qb_account_id } = req.body;
+        
+        const institution = company().plaidAccounts.find(pa => pa.id === institution_id);
+        if (!institution) {
+            return res.status(404).json({ error: 'Institution not found' });
+        }
+        
+        institution.qb_account_map = institution.qb_account_map || {};
+        
+        if (!qb_account_id) {
+            delete institution.qb_account_map[account_id];
+        } else {
+            if (!/^\d+$/.test(String(qb_account_id))) {
+                return res.status(400).json({ error: 'qb_account_id must be a QuickBooks Id' });
+            }
+            if (!company().tokens.access_token) {
+                return res.status(401).json({ error: 'QuickBooks not authenticated' });
+            }
+            
+            const query = `SELECT * FROM Account WHERE Id = '${qb_account_id}'`;
+            const result = await qbApiCall(`/query?query=${encodeURIComponent(query)}`);
+            const account = result.QueryResponse?.Account?.[0];
+            if (!account || !QB_POSTING_ACCOUNT_TYPES.includes(account.AccountType)) {
+                return res.status(400).json({ error: 'qb_account_id must be a QuickBooks Bank or Credit Card account' });
+            }
+            
+            institution.qb_account_map[account_id] = { id: account.Id, name: account.Name, type: account.AccountType };
+        }
+        
+        await savePlaidTokens();
+        
+        res.json({ success: true, account_id, qb_account: institution.qb_account_map[account_id] || null });
+    } catch (err) {
+        console.error('Map account error:', err);
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.get('/', (req, res) => {
-    res.json({ 
-        name: 'ASAP Financial Dashboard Backend v5 (AI + Plaid)',
-        status: 'running',
-        connected: !!tokens.access_token,
-        aiEnabled: !!anthropic,
-        plaidEnabled: !!process.env.PLAID_CLIENT_ID,
-        learnedRules: learnedRules.length,
-        endpoints: [
-            'GET  /api/quickbooks/auth',
-            'GET  /api/quickbooks/callback', 
-            'GET  /api/quickbooks/status',
-            'GET  /api/quickbooks/data',
-            'GET  /api/quickbooks/categories',
-            'GET  /api/quickbooks/rules',
-            'POST /api/quickbooks/refresh',
-            'POST /api/quickbooks/categorize',
-            'POST /api/quickbooks/categorize-batch',
-            'POST /api/quickbooks/update-transaction',
-            'POST /api/quickbooks/learn-rule',
-            'POST /api/quickbooks/disconnect',
-            '--- PLAID ENDPOINTS ---',
-            'POST /api/plaid/create-link-token',
-            'POST /api/plaid/exchange-token',
-            'GET  /api/plaid/accounts',
-            'GET  /api/plaid/transactions',
-            'POST /api/plaid/sync',
-            'POST /api/plaid/disconnect'
-        ]
-    });
+// Plaid accounts with their mapping, and the QuickBooks accounts they can map to
+app.get('/api/plaid/posting/accounts', async (req, res) => {
+    try {
+        const qbAccounts = company().tokens.access_token
+            ? (await fetchAllRecords('Account'))
+                .filter(a => QB_POSTING_ACCOUNT_TYPES.includes(a.AccountType))
+                .map(a => ({ id: a.Id, name: a.Name, type: a.AccountType }))
+            : [];
+        
+        const accounts = company().plaidAccounts.flatMap(pa => (pa.accounts || []).map(a => ({
+            institution_id: pa.id,
+            institution_name: pa.institution_name,
+            account_id: a.account_id,
+            name: a.name,
+            mask: a.mask,
+            type: a.type,
+            qb_account: pa.qb_account_map?.[a.account_id] || null
+        })));
+        
+        res.json({ accounts, qb_accounts: qbAccounts });
+    } catch (err) {
+        console.error('Posting accounts error:', err);
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// ========== PLAID INTEGRATION ==========
-
-const PLAID_CLIENT_ID = process.env.PLAID_CLIENT_ID;
-const PLAID_SECRET = process.env.PLAID_SECRET;
-const PLAID_ENV = process.env.PLAID_ENV || 'sandbox'; // sandbox, development, production
-const PLAID_BASE_URL = PLAID_ENV === 'production' 
-    ? 'https://production.plaid.com'
-    : PLAID_ENV === 'development'
-        ? 'https://development.plaid.com'
-        : 'https://sandbox.plaid.com';
-
-// Store connected accounts - Supabase with file fallback
-const PLAID_TOKENS_FILE = './plaid_tokens.json';
-let plaidAccounts = [];
-
-async function loadPlaidTokens() {
-    // Try Supabase first
-    if (supabase) {
-        try {
-            const { data, error } = await supabase
-                .from('plaid_connections')
-                .select('*')
-                .order('connected_at', { ascending: false });
-            
-            if (error) {
-                console.log('Supabase load error, falling back to file:', error.message);
-            } else if (data && data.length > 0) {
-                plaidAccounts = data.map(row => ({
-                    id: row.id,
-                    access_token: row.access_token,
-                    item_id: row.item_id,
-                    institution_id: row.institution_id,
-                    institution_name: row.institution_name,
-                    accounts: row.accounts || [],
-                    excluded_accounts: row.excluded_accounts || [],
-                    connected_at: row.connected_at,
-                    last_synced: row.last_synced
-                }));
-                console.log(`✓ Loaded ${plaidAccounts.length} Plaid account(s) from Supabase`);
-                return;
-            }
-        } catch (err) {
-            console.log('Supabase load exception:', err.message);
+// Dry run: what would be posted, skipped or is already posted
+// { transaction_ids } or { start_date, end_date }
+app.post('/api/plaid/posting/preview', async (req, res) => {
+    try {
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'QuickBooks not authenticated' });
         }
+        
+        const plans = await buildPostingPlans(req.body);
+        const counts = {};
+        plans.forEach(p => {
+            counts[p.status] = (counts[p.status] || 0) + 1;
+        });
+        
+        res.json({ plans, counts });
+    } catch (err) {
+        console.error('Posting preview error:', err);
+        res.status(500).json({ error: err.message });
     }
-    
-    // Fallback to file
+});
+
+// Post ready transactions to QuickBooks, one at a time. Same body as preview,
+// plus dry_run (same as preview), limit (default 100) and posted_by.
+app.post('/api/plaid/posting/post', async (req, res) => {
     try {
-        if (fs.existsSync(PLAID_TOKENS_FILE)) {
-            const data = fs.readFileSync(PLAID_TOKENS_FILE, 'utf8');
-            plaidAccounts = JSON.parse(data);
-            console.log(`✓ Loaded ${plaidAccounts.length} Plaid account(s) from file`);
-            
-            // If Supabase is available, migrate file tokens to Supabase
-            if (supabase && plaidAccounts.length > 0) {
-                console.log('Migrating tokens to Supabase...');
-                await savePlaidTokens();
-            }
+        if (!company().tokens.access_token) {
+            return res.status(401).json({ error: 'QuickBooks not authenticated' });
+        }
+        
+        const plans = await buildPostingPlans(req.body);
+        const ready = plans.filter(p => p.status === 'ready').slice(0, Number(req.body.limit) || 100);
+        
+        if (req.body.dry_run) {
+            return res.json({ dry_run: true, results: ready, posted: 0, failed: 0 });
+        }
+        
+        const results = [];
+        for (const plan of ready) {
+            // A transfer's inflow side may have just been posted with its outflow
+            if (company().plaidPostings[plan.transaction_id]?.status === 'posted') continue;
+            results.push(await postPlaidTransaction(plan, req.body.posted_by));
         }
+        
+        res.json({
+            results,
+            posted: results.filter(r => r.status === 'posted').length,
+            failed: results.filter(r => r.status === 'failed').length,
+            remaining: plans.filter(p => p.status === 'ready').length - ready.length
+        });
     } catch (err) {
-        console.log('No saved Plaid tokens found');
+        console.error('Posting error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Posting status for the ledger: ?status=posted|failed|unposted
+app.get('/api/plaid/posting/status', (req, res) => {
+    const { status, start_date, end_date } = req.query;
+    
+    const rows = getCategorizedPlaidTransactions().transactions
+        .filter(t => (!start_date || t.date >= start_date) && (!end_date || t.date <= end_date))
+        .map(t => {
+            const posting = company().plaidPostings[t.id];
+            return {
+                transaction_id: t.id,
+                date: t.date,
+                description: t.description,
+                amount: t.amount,
+                category: t.smartCategory,
+                posting_status: posting?.status || 'unposted',
+                qb_type: posting?.qbType || null,
+                qb_id: posting?.qbId || null,
+                error: posting?.error || null,
+                posted_at: posting?.postedAt || null
+            };
+        })
+        .filter(r => !status || r.posting_status === status)
+        .sort((a, b) => b.date.localeCompare(a.date));
+    
+    const counts = {};
+    rows.forEach(r => {
+        counts[r.posting_status] = (counts[r.posting_status] || 0) + 1;
+    });
+    
+    res.json({ transactions: rows, count: rows.length, counts });
+});
+
+// ========== PLAID WEBHOOKS ==========
+
+// Plaid error codes that mean the user has to re-authenticate the item
+const PLAID_LOGIN_ERROR_CODES = ['ITEM_LOGIN_REQUIRED', 'PENDING_EXPIRATION', 'USER_PERMISSION_REVOKED'];
+
+function setPlaidHealth(account, health, errorCode = null) {
+    account.health = health;
+    account.health_error = errorCode;
+    if (health === 'healthy') {
+        account.consent_expiration_time = null;
     }
+    console.log(`Plaid connection ${account.institution_name}: ${health}${errorCode ? ` (${errorCode})` : ''}`);
 }
 
-async function savePlaidTokens() {
-    // Save to Supabase if available
-    if (supabase) {
-        try {
-            for (const account of plaidAccounts) {
-                const { error } = await supabase
-                    .from('plaid_connections')
-                    .upsert({
-                        id: account.id,
-                        access_token: account.access_token,
-                        item_id: account.item_id,
-                        institution_id: account.institution_id,
-                        institution_name: account.institution_name,
-                        accounts: account.accounts || [],
-                        excluded_accounts: account.excluded_accounts || [],
-                        connected_at: account.connected_at,
-                        last_synced: account.last_synced,
-                        updated_at: new Date().toISOString()
-                    }, { onConflict: 'id' });
-                
-                if (error) {
-                    console.error('Supabase save error for', account.institution_name, ':', error.message);
-                }
-            }
-            console.log(`✓ Saved ${plaidAccounts.length} Plaid account(s) to Supabase`);
-        } catch (err) {
-            console.error('Supabase save exception:', err.message);
-        }
+// Consent expiring within this window is surfaced as consent_expiring
+const PLAID_CONSENT_WARNING_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Derive connection health from an /item/get response. Returns true if it changed.
+function updatePlaidHealthFromItem(account, itemData) {
+    const previous = `${account.health}|${account.health_error}|${account.consent_expiration_time}`;
+    const errorCode = itemData.item?.error?.error_code || itemData.error_code;
+    const consentExpiration = itemData.item?.consent_expiration_time || null;
+    
+    if (PLAID_LOGIN_ERROR_CODES.includes(errorCode)) {
+        account.health = 'login_required';
+        account.health_error = errorCode;
+    } else if (consentExpiration && new Date(consentExpiration).getTime() - Date.now() < PLAID_CONSENT_WARNING_MS) {
+        account.health = 'consent_expiring';
+        account.health_error = 'PENDING_EXPIRATION';
+    } else if (!errorCode) {
+        account.health = 'healthy';
+        account.health_error = null;
     }
+    account.consent_expiration_time = consentExpiration;
     
-    // Always save to file as backup
-    try {
-        fs.writeFileSync(PLAID_TOKENS_FILE, JSON.stringify(plaidAccounts, null, 2));
-    } catch (err) {
-        console.error('Error saving Plaid tokens to file:', err);
+    return previous !== `${account.health}|${account.health_error}|${account.consent_expiration_time}`;
+}
+
+// Verification keys by kid - Plaid rotates them rarely, so cache until expired
+const plaidVerificationKeys = {};
+
+async function getPlaidVerificationKey(keyId) {
+    const cached = plaidVerificationKeys[keyId];
+    if (cached && !cached.expired_at) {
+        return cached;
+    }
+    
+    const response = await fetch(`${PLAID_BASE_URL}/webhook_verification_key/get`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            client_id: PLAID_CLIENT_ID,
+            secret: PLAID_SECRET,
+            key_id: keyId
+        })
+    });
+    
+    const data = await response.json();
+    if (!data.key) {
+        throw new Error(data.error_message || 'Could not fetch webhook verification key');
     }
+    
+    plaidVerificationKeys[keyId] = data.key;
+    return data.key;
 }
 
-async function deletePlaidTokenFromSupabase(accountId) {
-    if (supabase) {
-        try {
-            const { error } = await supabase
-                .from('plaid_connections')
-                .delete()
-                .eq('id', accountId);
-            
-            if (error) {
-                console.error('Supabase delete error:', error.message);
+// Verify the Plaid-Verification JWT: ES256 signature from Plaid's key, issued
+// within the last 5 minutes, and a body hash matching what we received.
+async function verifyPlaidWebhook(req) {
+    const token = req.headers['plaid-verification'];
+    if (!token) {
+        throw new Error('Missing Plaid-Verification header');
+    }
+    
+    const [headerB64, payloadB64, signatureB64] = token.split('.');
+    if (!headerB64 || !payloadB64 || !signatureB64) {
+        throw new Error('Malformed verification token');
+    }
+    
+    const header = JSON.parse(Buffer.from(headerB64, 'base64url').toString('utf8'));
+    if (header.alg !== 'ES256') {
+        throw new Error(`Unexpected signing algorithm: ${header.alg}`);
+    }
+    
+    const key = await getPlaidVerificationKey(header.kid);
+    if (key.expired_at) {
+        throw new Error('Verification key has expired');
+    }
+    
+    const publicKey = crypto.createPublicKey({
+        key: { kty: key.kty, crv: key.crv, x: key.x, y: key.y },
+        format: 'jwk'
+    });
+    
+    const signatureValid = crypto.verify(
+        'sha256',
+        Buffer.from(`${headerB64}.${payloadB64}`),
+        { key: publicKey, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signatureB64, 'base64url')
+    );
+    if (!signatureValid) {
+        throw new Error('Invalid webhook signature');
+    }
+    
+    const payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8'));
+    if (!payload.iat || Date.now() / 1000 - payload.iat > 300) {
+        throw new Error('Webhook verification token is too old');
+    }
+    
+    const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+    const expectedHash = String(payload.request_body_sha256 || '');
+    if (bodyHash.length !== expectedHash.length ||
+        !crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(expectedHash))) {
+        throw new Error('Webhook body hash mismatch');
+    }
+}
+
+async function handlePlaidWebhook(account, webhook) {
+    const { webhook_type, webhook_code } = webhook;
+    
+    if (webhook_type === 'TRANSACTIONS') {
+        if (['SYNC_UPDATES_AVAILABLE', 'HISTORICAL_UPDATE', 'INITIAL_UPDATE', 'DEFAULT_UPDATE'].includes(webhook_code)) {
+            const result = await syncPlaidItem(account);
+            console.log(`✓ Webhook sync ${account.institution_name}: +${result.added.length} ~${result.modified} -${result.removed}`);
+        }
+    } else if (webhook_type === 'ITEM') {
+        if (webhook_code === 'ERROR' || webhook_code === 'ITEM_LOGIN_REQUIRED') {
+            const errorCode = webhook.error?.error_code || webhook_code;
+            if (PLAID_LOGIN_ERROR_CODES.includes(errorCode)) {
+                setPlaidHealth(account, 'login_required', errorCode);
             } else {
-                console.log(`✓ Deleted Plaid account ${accountId} from Supabase`);
+                account.health_error = errorCode;
             }
-        } catch (err) {
-            console.error('Supabase delete exception:', err.message);
+        } else if (webhook_code === 'PENDING_EXPIRATION' || webhook_code === 'PENDING_DISCONNECT') {
+            setPlaidHealth(account, 'consent_expiring', webhook_code);
+            account.consent_expiration_time = webhook.consent_expiration_time || account.consent_expiration_time || null;
+        } else if (webhook_code === 'USER_PERMISSION_REVOKED' || webhook_code === 'USER_ACCOUNT_REVOKED') {
+            setPlaidHealth(account, 'login_required', webhook_code);
+        } else if (webhook_code === 'LOGIN_REPAIRED') {
+            setPlaidHealth(account, 'healthy');
         }
     }
+    
+    await savePlaidTokens();
 }
 
+// Receive Plaid webhooks
+app.post('/api/plaid/webhook', async (req, res) => {
+    if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
+        return res.status(400).json({ error: 'Plaid not configured' });
+    }
+
+    try {
+        await verifyPlaidWebhook(req);
+    } catch (err) {
+        console.error('Plaid webhook rejected:', err.message);
+        return res.status(401).json({ error: 'Webhook verification failed' });
+    }
+
+    const { webhook_type, webhook_code, item_id } = req.body;
+    console.log(`Plaid webhook: ${webhook_type} ${webhook_code} (item ${item_id})`);
+
+    // Webhooks aren't sent per company - find the one that owns the item
+    const owner = Object.values(companyStates).find(state => state.plaidAccounts.some(a => a.item_id === item_id));
+    if (!owner) {
+        return res.json({ received: true, ignored: 'Unknown item' });
+    }
+    const account = owner.plaidAccounts.find(a => a.item_id === item_id);
+
+    // Acknowledge right away - Plaid retries webhooks that are slow to respond
+    res.json({ received: true });
+
+    try {
+        await companyContext.run(owner, () => handlePlaidWebhook(account, req.body));
+    } catch (err) {
+        console.error(`Plaid webhook handling error (${account.institution_name}):`, err.message);
+    }
+});
+
 // Create Link Token for Plaid Link
 app.post('/api/plaid/create-link-token', async (req, res) => {
     if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
@@ -1340,11 +7688,12 @@ app.post('/api/plaid/create-link-token', async (req, res) => {
             body: JSON.stringify({
                 client_id: PLAID_CLIENT_ID,
                 secret: PLAID_SECRET,
-                user: { client_user_id: 'asap-playbook-user' },
+                user: { client_user_id: plaidClientUserId() },
                 client_name: 'ASAP Playbook',
                 products: ['transactions'],
                 country_codes: ['US'],
                 language: 'en',
+                webhook: PLAID_WEBHOOK_URL,
                 // Allow user to select which accounts to share
                 account_filters: {
                     depository: {
@@ -1371,6 +7720,115 @@ app.post('/api/plaid/create-link-token', async (req, res) => {
     }
 });
 
+// Create an update-mode Link token to repair an existing connection in place
+// (keeps the same access_token, id, excluded_accounts and transaction history)
+app.post('/api/plaid/update-link-token', async (req, res) => {
+    if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
+        return res.status(400).json({ error: 'Plaid not configured' });
+    }
+
+    const { account_id, account_selection } = req.body;
+
+    if (!account_id) {
+        return res.status(400).json({ error: 'account_id required' });
+    }
+
+    const account = company().plaidAccounts.find(a => a.id === account_id);
+    if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+
+    try {
+        const response = await fetch(`${PLAID_BASE_URL}/link/token/create`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                client_id: PLAID_CLIENT_ID,
+                secret: PLAID_SECRET,
+                user: { client_user_id: plaidClientUserId() },
+                client_name: 'ASAP Playbook',
+                access_token: account.access_token,
+                country_codes: ['US'],
+                language: 'en',
+                webhook: PLAID_WEBHOOK_URL,
+                // Let the user add/remove shared accounts while re-authenticating
+                update: { account_selection_enabled: !!account_selection }
+            })
+        });
+
+        const data = await response.json();
+        
+        if (data.link_token) {
+            res.json({ link_token: data.link_token, institution: account.institution_name, health: account.health || 'healthy' });
+        } else {
+            console.error('Plaid update link token error:', data);
+            res.status(400).json({ error: data.error_message || 'Failed to create update link token' });
+        }
+    } catch (err) {
+        console.error('Plaid update link token error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Called after Link update mode succeeds - refresh the account list, mark the
+// connection healthy and pull anything missed while it was broken
+app.post('/api/plaid/update-complete', async (req, res) => {
+    if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
+        return res.status(400).json({ error: 'Plaid not configured' });
+    }
+
+    const { account_id } = req.body;
+
+    const account = company().plaidAccounts.find(a => a.id === account_id);
+    if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+
+    try {
+        const accountsResponse = await fetch(`${PLAID_BASE_URL}/accounts/get`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                client_id: PLAID_CLIENT_ID,
+                secret: PLAID_SECRET,
+                access_token: account.access_token
+            })
+        });
+
+        const accountsData = await accountsResponse.json();
+
+        if (accountsData.error_code) {
+            return res.status(400).json({ error: accountsData.error_message, health: account.health });
+        }
+
+        account.accounts = accountsData.accounts || account.accounts;
+        setPlaidHealth(account, 'healthy');
+
+        let syncResult = null;
+        let syncError;
+        try {
+            syncResult = await syncPlaidItem(account);
+        } catch (err) {
+            syncError = err.message;
+        }
+
+        await savePlaidTokens();
+
+        console.log(`✓ Repaired bank connection: ${account.institution_name}`);
+
+        res.json({
+            success: true,
+            institution: account.institution_name,
+            health: account.health,
+            transactions_synced: syncResult ? syncResult.added.length : 0,
+            sync_error: syncError
+        });
+    } catch (err) {
+        console.error('Plaid update complete error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Exchange public token for access token
 app.post('/api/plaid/exchange-token', async (req, res) => {
     if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
@@ -1420,10 +7878,11 @@ app.post('/api/plaid/exchange-token', async (req, res) => {
             accounts: accountsData.accounts || [],
             connected_at: new Date().toISOString(),
             last_synced: null,
-            cursor: null // For transaction sync
+            cursor: null, // For transaction sync
+            health: 'healthy'
         };
 
-        plaidAccounts.push(newAccount);
+        company().plaidAccounts.push(newAccount);
         await savePlaidTokens();
 
         console.log(`✓ Connected new bank: ${newAccount.institution_name}`);
@@ -1447,11 +7906,15 @@ app.post('/api/plaid/exchange-token', async (req, res) => {
 
 // Get connected accounts
 app.get('/api/plaid/accounts', (req, res) => {
-    const accounts = plaidAccounts.map(pa => ({
+    const accounts = company().plaidAccounts.map(pa => ({
         id: pa.id,
         institution_name: pa.institution_name,
         connected_at: pa.connected_at,
         last_synced: pa.last_synced,
+        health: pa.health || 'healthy',
+        health_error: pa.health_error || null,
+        consent_expiration_time: pa.consent_expiration_time || null,
+        needs_update: (pa.health || 'healthy') !== 'healthy',
         accounts: pa.accounts.map(a => ({
             id: a.account_id,
             name: a.name,
@@ -1464,7 +7927,7 @@ app.get('/api/plaid/accounts', (req, res) => {
     }));
 
     res.json({ 
-        connected: plaidAccounts.length > 0,
+        connected: company().plaidAccounts.length > 0,
         plaidEnabled: !!PLAID_CLIENT_ID,
         accounts 
     });
@@ -1474,7 +7937,7 @@ app.get('/api/plaid/accounts', (req, res) => {
 app.post('/api/plaid/toggle-account', async (req, res) => {
     const { institution_id, account_id, exclude } = req.body;
     
-    const institution = plaidAccounts.find(pa => pa.id === institution_id);
+    const institution = company().plaidAccounts.find(pa => pa.id === institution_id);
     if (!institution) {
         return res.status(404).json({ error: 'Institution not found' });
     }
@@ -1510,68 +7973,28 @@ app.post('/api/plaid/sync', async (req, res) => {
         return res.status(400).json({ error: 'Plaid not configured' });
     }
 
-    if (plaidAccounts.length === 0) {
+    if (company().plaidAccounts.length === 0) {
         return res.status(400).json({ error: 'No bank accounts connected' });
     }
 
     try {
         const allTransactions = [];
+        let modifiedCount = 0;
+        let removedCount = 0;
         const errors = [];
 
-        for (const account of plaidAccounts) {
+        for (const account of company().plaidAccounts) {
             try {
-                // Use transactions/sync for incremental updates
-                const syncResponse = await fetch(`${PLAID_BASE_URL}/transactions/sync`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        client_id: PLAID_CLIENT_ID,
-                        secret: PLAID_SECRET,
-                        access_token: account.access_token,
-                        cursor: account.cursor || '',
-                        count: 500
-                    })
-                });
-
-                const syncData = await syncResponse.json();
-
-                if (syncData.error_code) {
-                    errors.push({ institution: account.institution_name, error: syncData.error_message });
-                    continue;
-                }
+                const result = await syncPlaidItem(account);
 
                 // Get excluded accounts for this institution
                 const excludedAccounts = account.excluded_accounts || [];
 
-                // Process added transactions, filtering out excluded accounts
-                const transactions = (syncData.added || [])
+                allTransactions.push(...result.added
                     .filter(t => !excludedAccounts.includes(t.account_id))
-                    .map(t => ({
-                        id: t.transaction_id,
-                        plaid_account_id: account.id,
-                        account_id: t.account_id,
-                        institution: account.institution_name,
-                        date: t.date,
-                        description: t.name,
-                        merchant_name: t.merchant_name,
-                        amount: t.amount, // Plaid: positive = debit, negative = credit
-                        category: t.personal_finance_category?.primary || t.category?.[0] || 'Uncategorized',
-                        category_detailed: t.personal_finance_category?.detailed || t.category?.join(' > '),
-                        pending: t.pending,
-                        type: t.amount > 0 ? 'expense' : 'income',
-                        source: 'plaid'
-                    }));
-
-                allTransactions.push(...transactions);
-
-                // Update cursor for next sync
-                account.cursor = syncData.next_cursor;
-                account.last_synced = new Date().toISOString();
-
-                // Handle modified transactions (update existing)
-                // Handle removed transactions (delete)
-                // For now, we just track new ones
-
+                    .map(categorizePlaidTransaction));
+                modifiedCount += result.modified;
+                removedCount += result.removed;
             } catch (err) {
                 errors.push({ institution: account.institution_name, error: err.message });
             }
@@ -1582,6 +8005,8 @@ app.post('/api/plaid/sync', async (req, res) => {
         res.json({
             success: true,
             transactions_synced: allTransactions.length,
+            transactions_modified: modifiedCount,
+            transactions_removed: removedCount,
             transactions: allTransactions,
             errors: errors.length > 0 ? errors : undefined
         });
@@ -1591,89 +8016,43 @@ app.post('/api/plaid/sync', async (req, res) => {
     }
 });
 
-// Get transactions (uses stored data or fetches fresh)
+// Get transactions from the store (syncs items that have never been synced,
+// or every item when ?refresh=true)
 app.get('/api/plaid/transactions', async (req, res) => {
     if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
         return res.status(400).json({ error: 'Plaid not configured' });
     }
 
-    if (plaidAccounts.length === 0) {
+    if (company().plaidAccounts.length === 0) {
         return res.json({ transactions: [], message: 'No bank accounts connected' });
     }
 
-    const { start_date, end_date } = req.query;
+    const { start_date, end_date, refresh } = req.query;
     // Default to January 1, 2025 for full history
     const startDate = start_date || '2025-01-01';
     const endDate = end_date || new Date().toISOString().split('T')[0];
 
     try {
-        const allTransactions = [];
         const errors = [];
+        let synced = false;
 
-        for (const account of plaidAccounts) {
+        for (const account of company().plaidAccounts) {
+            if (account.cursor && refresh !== 'true') continue;
+            
             try {
-                // Paginate through all transactions
-                let offset = 0;
-                let hasMore = true;
-                const excludedAccounts = account.excluded_accounts || [];
-                
-                while (hasMore) {
-                    const txnResponse = await fetch(`${PLAID_BASE_URL}/transactions/get`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            client_id: PLAID_CLIENT_ID,
-                            secret: PLAID_SECRET,
-                            access_token: account.access_token,
-                            start_date: startDate,
-                            end_date: endDate,
-                            options: { count: 500, offset }
-                        })
-                    });
-
-                    const txnData = await txnResponse.json();
-
-                    if (txnData.error_code) {
-                        errors.push({ institution: account.institution_name, error: txnData.error_message });
-                        break;
-                    }
-
-                    const transactions = (txnData.transactions || [])
-                        .filter(t => !excludedAccounts.includes(t.account_id))
-                        .map(t => ({
-                            id: t.transaction_id,
-                            plaid_account_id: account.id,
-                            account_id: t.account_id,
-                            institution: account.institution_name,
-                            date: t.date,
-                            description: t.name,
-                            merchant_name: t.merchant_name,
-                            amount: t.amount,
-                            category: t.personal_finance_category?.primary || t.category?.[0] || 'Uncategorized',
-                            category_detailed: t.personal_finance_category?.detailed || t.category?.join(' > '),
-                            pending: t.pending,
-                            type: t.amount > 0 ? 'expense' : 'income',
-                            source: 'plaid'
-                        }));
-
-                    allTransactions.push(...transactions);
-                    
-                    // Check if more pages exist
-                    offset += txnData.transactions?.length || 0;
-                    hasMore = offset < txnData.total_transactions;
-                    
-                    // Safety limit - max 5000 transactions per institution
-                    if (offset >= 5000) break;
-                }
-                
-                account.last_synced = new Date().toISOString();
-
+                await syncPlaidItem(account);
+                synced = true;
             } catch (err) {
                 errors.push({ institution: account.institution_name, error: err.message });
             }
         }
 
-        await savePlaidTokens();
+        if (synced) {
+            await savePlaidTokens();
+        }
+
+        const allTransactions = getCategorizedPlaidTransactions().transactions
+            .filter(t => t.date >= startDate && t.date <= endDate);
 
         // Sort by date descending
         allTransactions.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -1681,6 +8060,8 @@ app.get('/api/plaid/transactions', async (req, res) => {
         res.json({
             transactions: allTransactions,
             count: allTransactions.length,
+            needsReviewCount: allTransactions.filter(t => t.needsReview).length,
+            profitAndLoss: plaidProfitAndLoss(allTransactions),
             date_range: { start: startDate, end: endDate },
             errors: errors.length > 0 ? errors : undefined
         });
@@ -1690,6 +8071,46 @@ app.get('/api/plaid/transactions', async (req, res) => {
     }
 });
 
+// Matched cross-account transfers and one-sided transfers needing review
+app.get('/api/plaid/transfers', (req, res) => {
+    const { start_date, end_date } = req.query;
+    const startDate = start_date || '2025-01-01';
+    const endDate = end_date || new Date().toISOString().split('T')[0];
+    const inRange = t => t.date >= startDate && t.date <= endDate;
+
+    const { transfers } = getCategorizedPlaidTransactions();
+
+    const matched = transfers.pairs
+        .filter(p => inRange(p.outflow) || inRange(p.inflow))
+        .map(p => ({
+            amount: p.outflow.amount,
+            days_apart: daysBetween(p.outflow.date, p.inflow.date),
+            outflow: p.outflow,
+            inflow: p.inflow
+        }));
+
+    const unmatched = transfers.unmatched
+        .filter(inRange)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.json({
+        matched,
+        unmatched,
+        matchedCount: matched.length,
+        unmatchedCount: unmatched.length,
+        date_range: { start: startDate, end: endDate }
+    });
+});
+
+// Built-in categorization rules applied to Plaid transactions
+app.get('/api/plaid/category-rules', (req, res) => {
+    res.json({
+        autoApproveConfidence: AUTO_APPROVE_CONFIDENCE,
+        rules: BUILT_IN_RULES,
+        reviewPatterns: REVIEW_PATTERNS
+    });
+});
+
 // Disconnect a bank account
 app.post('/api/plaid/disconnect', async (req, res) => {
     const { account_id } = req.body;
@@ -1698,13 +8119,13 @@ app.post('/api/plaid/disconnect', async (req, res) => {
         return res.status(400).json({ error: 'account_id required' });
     }
 
-    const accountIndex = plaidAccounts.findIndex(a => a.id === account_id);
+    const accountIndex = company().plaidAccounts.findIndex(a => a.id === account_id);
     
     if (accountIndex === -1) {
         return res.status(404).json({ error: 'Account not found' });
     }
 
-    const account = plaidAccounts[accountIndex];
+    const account = company().plaidAccounts[accountIndex];
 
     // Optionally remove from Plaid (invalidate token)
     if (PLAID_CLIENT_ID && PLAID_SECRET && account.access_token) {
@@ -1724,9 +8145,10 @@ app.post('/api/plaid/disconnect', async (req, res) => {
     }
 
     const accountId = account.id;
-    plaidAccounts.splice(accountIndex, 1);
+    company().plaidAccounts.splice(accountIndex, 1);
     await savePlaidTokens();
     await deletePlaidTokenFromSupabase(accountId);
+    await deletePlaidTransactionsForAccount(accountId);
 
     console.log(`✓ Disconnected bank: ${account.institution_name}`);
 
@@ -1739,14 +8161,14 @@ app.post('/api/plaid/refresh', async (req, res) => {
         return res.status(400).json({ error: 'Plaid not configured' });
     }
 
-    if (plaidAccounts.length === 0) {
+    if (company().plaidAccounts.length === 0) {
         return res.status(400).json({ error: 'No bank accounts connected' });
     }
 
     try {
         const results = [];
         
-        for (const account of plaidAccounts) {
+        for (const account of company().plaidAccounts) {
             try {
                 // Request transaction refresh - this tells Plaid to fetch more historical data
                 const refreshResponse = await fetch(`${PLAID_BASE_URL}/transactions/refresh`, {
@@ -1801,8 +8223,9 @@ app.get('/api/plaid/status', async (req, res) => {
     }
 
     const statusResults = [];
+    let healthChanged = false;
 
-    for (const account of plaidAccounts) {
+    for (const account of company().plaidAccounts) {
         try {
             // Get item info to check data availability
             const itemResponse = await fetch(`${PLAID_BASE_URL}/item/get`, {
@@ -1817,26 +8240,40 @@ app.get('/api/plaid/status', async (req, res) => {
 
             const itemData = await itemResponse.json();
 
+            if (updatePlaidHealthFromItem(account, itemData)) {
+                healthChanged = true;
+            }
+
             statusResults.push({
+                id: account.id,
                 institution: account.institution_name,
                 connected_at: account.connected_at,
                 last_synced: account.last_synced,
                 item_id: itemData.item?.item_id,
                 available_products: itemData.item?.available_products,
                 consent_expiration: itemData.item?.consent_expiration_time,
-                error: itemData.error_code ? itemData.error_message : null
+                health: account.health || 'healthy',
+                health_error: account.health_error || null,
+                needs_update: (account.health || 'healthy') !== 'healthy',
+                error: itemData.error_code ? itemData.error_message : (itemData.item?.error?.error_message || null)
             });
         } catch (err) {
             statusResults.push({
+                id: account.id,
                 institution: account.institution_name,
+                health: account.health || 'healthy',
                 error: err.message
             });
         }
     }
 
+    if (healthChanged) {
+        await savePlaidTokens();
+    }
+
     res.json({
         plaidEnabled: true,
-        accountCount: plaidAccounts.length,
+        accountCount: company().plaidAccounts.length,
         accounts: statusResults,
         note: 'Historical transaction data typically takes 24-48 hours to fully populate after initial connection.'
     });
@@ -1844,36 +8281,59 @@ app.get('/api/plaid/status', async (req, res) => {
 
 // ========== START SERVER ==========
 
-async function start() {
-    // Initialize Supabase first (for persistent storage)
-    initSupabase();
-    
+// Everything one company keeps - run inside that company's context
+async function loadCompanyData() {
     await loadTokens();
     await loadRules();
+    await loadRuleSuggestions();
+    await loadQuickBooksCache();
+    await loadStatisticalModel();
+    await loadCategorizationLog();
     await loadPlaidTokens();
-    
-    // Initialize Anthropic AI
-    initAnthropic();
+    await loadPlaidTransactions();
+    await loadPlaidSplits();
+    await loadPlaidPostings();
+    await loadOverridesAndFlags();
+    await loadVendorActions();
     
     // Load categories if connected
-    if (tokens.access_token) {
+    if (company().tokens.access_token) {
         try {
             await fetchAndCacheCategories();
         } catch (err) {
             console.log('Could not load categories on startup');
         }
     }
+}
+
+async function start() {
+    // Initialize Supabase first (for persistent storage)
+    initSupabase();
+    
+    await loadCompanies();
+    await loadMerchantAliases();
+    
+    // Initialize Anthropic AI
+    initAnthropic();
+    
+    for (const { id, name } of companies) {
+        console.log(`\n🏢 Loading ${name} (${id})`);
+        await runForCompany(id, loadCompanyData);
+    }
 
     app.listen(PORT, () => {
         console.log(`\n🚀 ASAP Financial Dashboard Backend v6.1`);
         console.log(`   Supabase Storage: ${supabase ? 'Enabled ✓' : 'Disabled (using file storage)'}`);
+        console.log(`   Token Encryption: ${tokenKeys.current ? `Enabled (key ${tokenKeys.current.id})` : 'Disabled (add TOKEN_ENCRYPTION_KEY)'}`);
         console.log(`   AI Categorization: ${anthropic ? 'Enabled' : 'Disabled (add ANTHROPIC_API_KEY)'}`);
         console.log(`   Plaid Integration: ${PLAID_CLIENT_ID ? 'Enabled' : 'Disabled (add PLAID_CLIENT_ID, PLAID_SECRET)'}`);
         console.log(`   Server running on port ${PORT}`);
         console.log(`   QB Environment: ${QB_ENVIRONMENT}`);
-        console.log(`   QB Connected: ${!!tokens.access_token}`);
-        console.log(`   Plaid Accounts: ${plaidAccounts.length}`);
-        console.log(`   Learned Rules: ${learnedRules.length}`);
+        console.log(`   Companies: ${companies.map(c => c.name).join(', ')}`);
+        console.log(`   QB Connected: ${!!company().tokens.access_token}`);
+        console.log(`   Plaid Accounts: ${company().plaidAccounts.length}`);
+        console.log(`   Stored Plaid Transactions: ${Object.keys(company().plaidTransactions).length}`);
+        console.log(`   Learned Rules: ${company().learnedRules.length}`);
     });
 }
 